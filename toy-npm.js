@@ -1,397 +1,4995 @@
+import { execFile, spawn } from 'child_process';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import { promisify } from 'util';
 import axios from 'axios';
 import tar from 'tar';
 import pLimit from 'p-limit';
+import { compare, maxSatisfying, satisfies, valid, validRange } from './toy-semver.js';
 
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+
+// Version of the toy-package-lock.json format. The old flat name-to-version map counts as version 1.
+const LOCKFILE_VERSION = 2;
+
+const DEFAULT_REGISTRY = "https://registry.npmjs.org/";
+
+// Advisory severities, from least to most severe
+const SEVERITY_LEVELS = ["info", "low", "moderate", "high", "critical"];
+
+// Command line log levels, from quietest to noisiest
+const LOG_LEVELS = ["silent", "error", "warn", "notice", "info"];
+
+// Where spawned scripts write their output. --json sends their stdout to stderr, so stdout only holds the JSON result.
+let scriptStdio = "inherit";
+
+// The exit code for each kind of failure, by the code of the error that ended the command. Anything else exits with 1.
+const EXIT_CODES = {
+  EUSAGE: 2,
+  E404: 3,
+  ETARGET: 4,
+  EAUTH: 5,
+  ENETWORK: 6,
+  ENOTCACHED: 7,
+  EINTEGRITY: 8,
+  ELIFECYCLE: 9,
+  ELOCKED: 10,
+  EBADENGINE: 11,
+  ERESOLVE: 12,
+  ENOENT: 13,
+  ELOCKFILE: 14,
+  EWORKSPACE: 15,
+  EMANIFEST: 16,
+};
+
+// Network errors worth another attempt, besides 5xx responses
+const RETRYABLE_ERROR_CODES = ["ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "EPIPE", "EAI_AGAIN"];
+
+// Settings from the .toyrc files, read once per run by getConfig
+let toyrcConfig = null;
+
+// The project every command works on: the current directory, --prefix, or the cwd option of the API. Set by loadProject.
+let projectDir = process.cwd();
+
+// API calls run one at a time, since they share projectDir and toyrcConfig
+let projectQueue = Promise.resolve();
+
+// Next to toy_node_modules: the folder an install is staged in, the folder the tree it replaced is kept in until the
+// install succeeds, and the lock file that keeps a second toy-npm process out of the project
+const STAGING_FOLDER = ".toy_node_modules-staging";
+const PREVIOUS_FOLDER = ".toy_node_modules-previous";
+const LOCK_FILE = ".toy-npm.lock";
+
+// The install running in this process, with what it needs to roll back. Set by runInstallTransaction.
+let activeTransaction = null;
+
+// While a tree is being staged, the folder that stands in for toy_node_modules. Set by reifyDependencyTree.
+let stagingDir = null;
+
+// API options that override a .toyrc setting, and the setting each one maps to
+const PROJECT_OPTIONS = {
+  registry: "registry",
+  cache: "cache",
+  offline: "offline",
+  preferOffline: "prefer-offline",
+  ignoreScripts: "ignore-scripts",
+  engineStrict: "engine-strict",
+  legacyPeerDeps: "legacy-peer-deps",
+  strictPeerDeps: "strict-peer-deps",
+  advisories: "advisories",
+  fetchTimeout: "fetch-timeout",
+  fetchRetries: "fetch-retries",
+  fetchRetryMintimeout: "fetch-retry-mintimeout",
+  fetchRetryMaxtimeout: "fetch-retry-maxtimeout",
+};
 
 /**
+ * Progress events, for programs that use toy-npm as a library:
+ * - `resolve` `{name, version, location}` when a package is placed in the ideal tree
+ * - `fetch` `{name, version}` when a tarball is ready in the cache
+ * - `download` `{url, bytes}` as each chunk of a tarball arrives
+ * - `extract` `{name, version, location}` when a package is written to toy_node_modules
+ * - `script` `{name, version, event, script}` before a lifecycle script runs
+ * - `warn` `message` for problems that don't stop the install
+ */
+export const events = new EventEmitter();
 
-Fetches the metadata for a given package from the npm registry.
-@async
-@function fetchPackageMetadata
-@param {string} packageName - The name of the package to fetch metadata for.
-@returns {Promise<object>} - The package metadata object.
+/**
+
+Parses the contents of a .toyrc file. The format is the same as .npmrc: one `key=value` per line,
+with `#` or `;` comments and `${ENV_VAR}` references expanded from the environment.
+@function parseToyrc
+@param {string} contents - The contents of the .toyrc file.
+@returns {object} - The settings, as a key to value map.
 */
-async function fetchPackageMetadata(packageName) {
-  const { data } = await axios.get(
-    `https://registry.npmjs.org/${packageName}`
-  );
-  return data;
+function parseToyrc(contents) {
+  const settings = {};
+
+  for (const rawLine of contents.split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (!line || line.startsWith("#") || line.startsWith(";")) {
+      continue;
+    }
+
+    const separator = line.indexOf("=");
+    if (separator === -1) {
+      continue;
+    }
+
+    const key = line.slice(0, separator).trim();
+    const value = line
+      .slice(separator + 1)
+      .trim()
+      .replace(/^(["'])(.*)\1$/, "$2")
+      .replace(/\$\{([^}]+)\}/g, (match, name) => process.env[name] || "");
+
+    settings[key] = value;
+  }
+
+  return settings;
 }
 
 /**
 
-Downloads the tarball for a given package version from the npm registry.
-@async
-@function downloadPackage
-@param {string} packageName - The name of the package to download.
-@param {string} version - The version of the package to download.
-@returns {Promise<stream.Readable>} - A readable stream containing the package tarball data, with a resolvedVersion property attached indicating the resolved version.
-@throws {Error} - If the specified version is not found for the given package.
+Loads the toy-npm configuration from the user-level (~/.toyrc) and project-level .toyrc files.
+Project settings win over user settings, and both win over the defaults.
+Supported settings are `registry`, per-scope registries (`@corp:registry=...`), bearer tokens (`//host/path/:_authToken=...`),
+`cache` (the cache directory), `offline`, `prefer-offline`, `ignore-scripts`, `engine-strict`, `legacy-peer-deps`, `strict-peer-deps`,
+`advisories` (a local advisory file for `audit`), `loglevel`, and the network settings `fetch-timeout` (milliseconds a request
+may stay idle), `fetch-retries`, `fetch-retry-mintimeout` and `fetch-retry-maxtimeout` (the bounds of the backoff between retries).
+@function getConfig
+@returns {object} - The merged settings.
 */
-async function downloadPackage(packageName, version) {
-  const metadata = await fetchPackageMetadata(packageName);
+function getConfig() {
+  if (toyrcConfig) {
+    return toyrcConfig;
+  }
 
-  // Resolve the version if not provided or if it's 'latest'
-  const resolvedVersion = version === "latest" || !version ? metadata["dist-tags"].latest : version;
+  toyrcConfig = {
+    registry: DEFAULT_REGISTRY,
+    cache: path.join(os.homedir(), ".toy-npm-cache"),
+    "fetch-timeout": 30000,
+    "fetch-retries": 2,
+    "fetch-retry-mintimeout": 1000,
+    "fetch-retry-maxtimeout": 10000,
+  };
 
-  if (!metadata.versions[resolvedVersion]) {
-    throw new Error(`Version ${resolvedVersion} not found for package ${packageName}`);
+  for (const toyrcPath of [path.join(os.homedir(), ".toyrc"), path.join(projectDir, ".toyrc")]) {
+    if (fs.existsSync(toyrcPath)) {
+      Object.assign(toyrcConfig, parseToyrc(fs.readFileSync(toyrcPath, "utf8")));
+    }
   }
 
-  const tarballUrl = metadata.versions[resolvedVersion].dist.tarball;
-  const { data } = await axios.get(tarballUrl, { responseType: "stream" });
+  return toyrcConfig;
+}
 
-  // Attach the resolved version to the returned stream
-  data.resolvedVersion = resolvedVersion;
+/**
 
-  return data;
+Checks whether a boolean setting is turned on, either in a .toyrc file (`offline=true`) or by a command line flag.
+@function isConfigEnabled
+@param {string} key - The name of the setting, e.g. offline or ignore-scripts.
+@returns {boolean}
+*/
+function isConfigEnabled(key) {
+  const value = getConfig()[key];
+  return value === true || value === "true";
 }
 
 /**
 
-Uninstalls all packages in toy-package.json
-@async
-@function uninstallAllPackages
-@returns {Promise<void>}
+Points every command at a project folder and reloads its settings. Options named in PROJECT_OPTIONS win over the .toyrc files.
+@function loadProject
+@param {object} [options]
+@param {string} [options.cwd=process.cwd()] - The project folder, holding toy-package.json.
+@returns {void}
 */
-async function uninstallAllPackages() {
-  const toyPackagePath = path.join(__dirname, "toy-package.json");
+function loadProject({ cwd = process.cwd(), ...settings } = {}) {
+  projectDir = path.resolve(cwd);
+  toyrcConfig = null;
 
-  if (!fs.existsSync(toyPackagePath)) {
-    console.log("toy-package.json not found.");
-    return;
+  const config = getConfig();
+
+  for (const [option, key] of Object.entries(PROJECT_OPTIONS)) {
+    if (settings[option] !== undefined) {
+      config[key] = settings[option];
+    }
   }
+}
 
-  const toyPackageJson = JSON.parse(fs.readFileSync(toyPackagePath, "utf8"));
+/**
 
-  const uninstallDependenciesPromises = Object.keys(toyPackageJson.dependencies).map(async (packageName) => {
-    await uninstallPackage(packageName);
+Runs a task against a project once every earlier API call has finished.
+@async
+@function runInProject
+@param {object} options - The API options, passed to loadProject.
+@param {Function} task - The work to do. It may return a promise.
+@returns {Promise<*>} - What the task returns.
+*/
+function runInProject(options, task) {
+  const run = projectQueue.then(() => {
+    loadProject(options);
+    return task();
   });
 
-  const uninstallDevDependenciesPromises = Object.keys(toyPackageJson.devDependencies).map(async (packageName) => {
-    await uninstallPackage(packageName, true);
-  });
+  projectQueue = run.catch(() => {});
+  return run;
+}
+
+/**
 
-  await Promise.all([...uninstallDependenciesPromises, ...uninstallDevDependenciesPromises]);
+Reports a problem that doesn't stop the current command, as a `warn` event.
+@function warn
+@param {string} message - The warning.
+@returns {void}
+*/
+function warn(message) {
+  events.emit("warn", message);
 }
 
 /**
 
-Installs packages from the toy-package.json file with a dynamic rate limit for concurrency
-@async
-@function installFromToyPackageJson
-@returns {Promise<void>}
+Creates an error with a code, which tells the command line which exit code to use (see EXIT_CODES).
+@function createError
+@param {string} code - The error code, e.g. E404.
+@param {string} message - The error message.
+@returns {Error}
 */
-async function installFromToyPackageJson() {
-  const toyPackagePath = path.join(__dirname, "toy-package.json");
+function createError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
 
-  if (!fs.existsSync(toyPackagePath)) {
-    console.log("toy-package.json not found.");
-    return;
+/**
+
+Gets the exit code for an error that ended a command.
+@function getExitCode
+@param {Error} error - The error.
+@returns {number}
+*/
+function getExitCode(error) {
+  return EXIT_CODES[error.code] || 1;
+}
+
+/**
+
+Checks whether a process is still running.
+@function isProcessRunning
+@param {number} pid - The process id.
+@returns {boolean}
+*/
+function isProcessRunning(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return false;
   }
 
-  const toyPackageJson = JSON.parse(fs.readFileSync(toyPackagePath, "utf8"));
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to someone else
+    return error.code === "EPERM";
+  }
+}
 
-  // Set a dynamic concurrency limit based on the number of packages to install
-  const totalPackages = Object.keys(toyPackageJson.dependencies).length + Object.keys(toyPackageJson.devDependencies).length;
-  const concurrencyLimit = Math.min(Math.ceil(totalPackages / 2), 8); // Limit between 1 and 8
-  const limit = pLimit(concurrencyLimit);
+/**
 
-  const installDependenciesPromises = Object.entries(toyPackageJson.dependencies).map(
-    ([packageName, version]) => {
-      return limit(async () => {
-        await installPackage(packageName, version);
-        console.log(`Installed ${packageName}@${version}`);
-      });
+Takes the project lock, so only one toy-npm process changes the project at a time. A lock left behind by a process
+that is no longer running is taken over.
+The lock file is linked into place from a file that already holds the pid, so it is never seen empty. A stale lock is
+moved aside rather than deleted: if two processes take it over at once, the second one moves the first one's fresh lock,
+sees a pid that isn't the stale one, and puts the lock back.
+@function acquireProjectLock
+@returns {Function} - Releases the lock.
+@throws {Error} - If another running toy-npm process holds the lock.
+*/
+function acquireProjectLock() {
+  const lockPath = path.join(projectDir, LOCK_FILE);
+  const ownPath = `${lockPath}.${process.pid}`;
+
+  fs.writeFileSync(ownPath, String(process.pid));
+
+  try {
+    fs.linkSync(ownPath, lockPath);
+  } catch (error) {
+    if (error.code !== "EEXIST") {
+      throw error;
     }
-  );
 
-  const installDevDependenciesPromises = Object.entries(toyPackageJson.devDependencies).map(
-    ([packageName, version]) => {
-      return limit(async () => {
-        await installPackage(packageName, version, true);
-        console.log(`Installed ${packageName}@${version} as devDependency`);
-      });
+    const holder = fs.readFileSync(lockPath, "utf8");
+
+    if (isProcessRunning(Number(holder))) {
+      throw createError("ELOCKED", `Another toy-npm process (pid ${holder}) is working on this project. If it is not, remove ${lockPath}.`);
     }
-  );
 
-  await Promise.all([...installDependenciesPromises, ...installDevDependenciesPromises]);
+    const stalePath = `${ownPath}.stale`;
+
+    try {
+      fs.renameSync(lockPath, stalePath);
+    } catch (renameError) {
+      // Someone else moved it first; try again against whatever is there now
+      if (renameError.code !== "ENOENT") {
+        throw renameError;
+      }
+    }
+
+    if (fs.existsSync(stalePath)) {
+      const moved = fs.readFileSync(stalePath, "utf8");
+
+      if (moved !== holder) {
+        try {
+          fs.linkSync(stalePath, lockPath);
+        } catch (linkError) {
+          if (linkError.code !== "EEXIST") {
+            throw linkError;
+          }
+        } finally {
+          fs.rmSync(stalePath, { force: true });
+        }
+
+        throw createError("ELOCKED", `Another toy-npm process (pid ${moved}) is working on this project. If it is not, remove ${lockPath}.`);
+      }
+
+      fs.rmSync(stalePath, { force: true });
+    }
+
+    return acquireProjectLock();
+  } finally {
+    fs.rmSync(ownPath, { force: true });
+  }
+
+  // Only remove the lock if it is still ours
+  return () => {
+    if (fs.existsSync(lockPath) && fs.readFileSync(lockPath, "utf8") === String(process.pid)) {
+      fs.rmSync(lockPath, { force: true });
+    }
+  };
 }
 
 /**
 
-Retrieves metadata for the specified package and version from the npm registry
-@async
-@function getPackageData
-@param {string} packageName - The name of the package to retrieve metadata for
-@param {string} [version] - The version of the package to retrieve metadata for. If not specified, the latest version will be returned
-@returns {Promise<object>} - The metadata object for the specified package and version
+Writes a project file such as toy-package.json atomically. Inside an install, the first write to each file also
+records what it held before, so a failed install can put it back.
+@function writeProjectFile
+@param {string} filePath - The path of the file.
+@param {string} contents - The new contents.
+@returns {void}
 */
-async function getPackageData(packageName, version) {
-  const packageUrl = `https://registry.npmjs.org/${packageName}/${version || ""}`;
-  const response = await axios.get(packageUrl);
+function writeProjectFile(filePath, contents) {
+  if (activeTransaction && !activeTransaction.files.has(filePath)) {
+    activeTransaction.files.set(filePath, fs.existsSync(filePath) ? fs.readFileSync(filePath) : null);
+  }
 
-  return response.data;
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  fs.writeFileSync(tempPath, contents);
+  fs.renameSync(tempPath, filePath);
 }
 
 /**
 
-Install a package with a given name and version.
-@async
-@function installPackage
-@param {string} packageName - The name of the package to install.
-@param {string} [version] - The version of the package to install. If not specified, the latest version will be installed.
-@param {boolean} [isDevDependency=false] - Whether the package is a devDependency. Default is false.
-@returns {Promise<void>}
+Cleans up after a toy-npm process that died partway through an install: the staging folder is removed, and the
+previous tree is put back if it was moved aside but nothing replaced it.
+@function recoverInterruptedInstall
+@returns {void}
 */
-async function installPackage(packageName, version, isDevDependency = false) {
-  const packagePath = path.join(__dirname, "toy_node_modules", packageName);
-  fs.mkdirSync(packagePath, { recursive: true });
-
-  const packageStream = await downloadPackage(packageName, version);
-  // Update the version variable with the resolved version
-  version = packageStream.resolvedVersion;
+function recoverInterruptedInstall() {
+  const modulesPath = path.join(projectDir, "toy_node_modules");
+  const previousPath = path.join(projectDir, PREVIOUS_FOLDER);
 
-  const writeStream = fs.createWriteStream(
-    path.join(packagePath, `${packageName}-${version}.tgz`)
-  );
+  fs.rmSync(path.join(projectDir, STAGING_FOLDER), { recursive: true, force: true });
 
-  packageStream.pipe(writeStream);
+  if (fs.existsSync(previousPath) && !fs.existsSync(modulesPath)) {
+    fs.renameSync(previousPath, modulesPath);
+  }
 
-  await new Promise((resolve) => {
-    writeStream.on("finish", () => {
-      tar.x({
-        file: path.join(packagePath, `${packageName}-${version}.tgz`),
-        cwd: packagePath,
-        strip: 1,
-      }).then(async () => {
-        // Remove the tarball after extraction
-        fs.unlinkSync(path.join(packagePath, `${packageName}-${version}.tgz`));
-
-        // Update toy-package.json
-        updateToyPackageJson(packageName, version, isDevDependency);
-
-        // Retrieve packageData for the installed version
-        const packageData = await getPackageData(packageName, version);
-
-        // Update toy-package-lock.json
-        const installedPackageInfo = {
-          version: packageData.version,
-          resolved: packageData.dist.tarball,
-          integrity: packageData.dist.shasum,
-        };
-        updateToyPackageLockJson(packageName, installedPackageInfo);
-        resolve();
-      });
-    });
-  });
+  fs.rmSync(previousPath, { recursive: true, force: true });
 }
 
-
 /**
- * Updates the toy-package-lock.json file with version information for a package.
- *
- * @function updateToyPackageLockJson
- * @param {string} packageName - The name of the package to update.
- * @param {object} packageInfo - An object containing the package version, resolved tarball URL, and SHA-1 checksum.
- * @returns {void}
- */
-function updateToyPackageLockJson(packageName, packageInfo) {
-  const lockfilePath = path.join(__dirname, "toy-package-lock.json");
-  let lockfileData = {};
 
-  if (fs.existsSync(lockfilePath)) {
-    lockfileData = JSON.parse(fs.readFileSync(lockfilePath, "utf8"));
+Puts the project back the way it was before a failed install: the previous toy_node_modules and the previous
+contents of every project file the install wrote.
+@function rollbackInstallTransaction
+@param {object} transaction - The transaction of the failed install.
+@returns {void}
+*/
+function rollbackInstallTransaction(transaction) {
+  const modulesPath = path.join(projectDir, "toy_node_modules");
+  const previousPath = path.join(projectDir, PREVIOUS_FOLDER);
+
+  if (transaction.swapped) {
+    fs.rmSync(modulesPath, { recursive: true, force: true });
+
+    if (fs.existsSync(previousPath)) {
+      fs.renameSync(previousPath, modulesPath);
+    }
   }
 
-  lockfileData[packageName] = packageInfo;
-  fs.writeFileSync(lockfilePath, JSON.stringify(lockfileData, null, 2));
+  for (const [filePath, contents] of transaction.files) {
+    if (contents === null) {
+      fs.rmSync(filePath, { force: true });
+    } else {
+      fs.writeFileSync(filePath, contents);
+    }
+  }
 }
 
 /**
 
-Uninstalls a package from the toy_node_modules directory, as well as from the toy-package.json and toy-package-lock.json files.
+Runs a task that changes the installed tree or the project files as one transaction, holding the project lock.
+The tree is swapped in by reifyDependencyTree and files are written with writeProjectFile; if the task throws,
+both are rolled back. A transaction started inside another one just joins it.
 @async
-@function uninstallPackage
-@param {string} packageName - The name of the package to uninstall.
-@returns {void}
+@function runInstallTransaction
+@param {Function} task - The work to do. It may return a promise.
+@returns {Promise<*>} - What the task returns.
 */
-function uninstallPackage(packageName) {
-  const packagePath = path.join(__dirname, "toy_node_modules", packageName);
+async function runInstallTransaction(task) {
+  if (activeTransaction) {
+    return task();
+  }
 
-  if (!fs.existsSync(packagePath)) {
-    console.log(`Package ${packageName} not found.`);
-    return;
+  const releaseLock = acquireProjectLock();
+  const transaction = { swapped: false, files: new Map() };
+
+  try {
+    recoverInterruptedInstall();
+    activeTransaction = transaction;
+
+    const result = await task();
+
+    fs.rmSync(path.join(projectDir, PREVIOUS_FOLDER), { recursive: true, force: true });
+    return result;
+  } catch (error) {
+    rollbackInstallTransaction(transaction);
+    throw error;
+  } finally {
+    activeTransaction = null;
+    releaseLock();
   }
+}
 
-  fs.rmSync(packagePath, { recursive: true, force: true });
-  
-  // Remove package from toy-package.json
-  removeFromToyPackageJson(packageName);
-  console.log(`Uninstalled ${packageName}`);
+/**
+
+Gets the registry a package is fetched from: its scope's registry if one is configured, otherwise the default registry.
+@function getRegistryForPackage
+@param {string} packageName - The name of the package, e.g. lodash or @corp/utils.
+@returns {string} - The registry URL, always ending with a slash.
+*/
+function getRegistryForPackage(packageName) {
+  const config = getConfig();
+  const scope = packageName.startsWith("@") ? packageName.split("/")[0] : null;
+  const registry = (scope && config[`${scope}:registry`]) || config.registry;
 
-  removePackageFromToyPackageLockJson(packageName);
+  return registry.endsWith("/") ? registry : `${registry}/`;
 }
 
 /**
- * Remove a package from the toy-package-lock.json file
- * @function removePackageFromToyPackageLockJson
- * @param {string} packageName - The name of the package to remove
- * @returns {void}
- */
-function removePackageFromToyPackageLockJson(packageName) {
-  const lockfilePath = path.join(__dirname, "toy-package-lock.json");
 
-  if (fs.existsSync(lockfilePath)) {
-    const lockfileData = JSON.parse(fs.readFileSync(lockfilePath, "utf8"));
+Builds the request headers for a registry or tarball URL, adding the bearer token configured for it.
+Tokens are matched like npm does, by the longest `//host/path/:_authToken` key that the URL starts with.
+@function getRequestHeaders
+@param {string} url - The URL being requested.
+@returns {object} - The headers to send.
+*/
+function getRequestHeaders(url) {
+  const config = getConfig();
+  const { host, pathname } = new URL(url);
+  const target = `//${host}${pathname}`;
+  let bestMatch = null;
+
+  for (const key of Object.keys(config)) {
+    if (!key.endsWith(":_authToken")) {
+      continue;
+    }
 
-    if (lockfileData[packageName]) {
-      delete lockfileData[packageName];
-      fs.writeFileSync(lockfilePath, JSON.stringify(lockfileData, null, 2));
+    const prefix = key.slice(0, -":_authToken".length);
+    if (target.startsWith(prefix) && (!bestMatch || prefix.length > bestMatch.length)) {
+      bestMatch = prefix;
     }
   }
+
+  return bestMatch ? { Authorization: `Bearer ${config[`${bestMatch}:_authToken`]}` } : {};
 }
 
+/**
+
+Checks whether a failed request is worth another attempt: a 5xx response, a dropped connection or a timeout.
+@function isRetryableError
+@param {Error} error - The error the request failed with.
+@returns {boolean}
+*/
+function isRetryableError(error) {
+  if (error.response) {
+    return error.response.status >= 500;
+  }
 
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
 
 /**
 
-Updates toy-package.json with the given package name, version, and devDependency flag
-@function updateToyPackageJson
-@param {string} packageName - The name of the package to add or update in toy-package.json
-@param {string} version - The version of the package to add or update in toy-package.json
-@param {boolean} [isDevDependency=false] - Flag indicating whether the package is a devDependency (defaults to false)
-@returns {void}
+Gets a short reason for a failed request, e.g. `status 503`, `ECONNRESET` or `timed out`.
+@function getFailureReason
+@param {Error} error - The error the request failed with.
+@returns {string}
 */
-function updateToyPackageJson(packageName, version, isDevDependency = false) {
-  const toyPackagePath = path.join(__dirname, "toy-package.json");
+function getFailureReason(error) {
+  if (error.response) {
+    return `status ${error.response.status}`;
+  }
 
-  let toyPackageJson = {
-    name: "toy-npm",
-    version: "1.0.0",
-    description: "",
-    main: "index.js",
-    dependencies: {},
-    devDependencies: {},
-  };
+  return ["ETIMEDOUT", "ECONNABORTED"].includes(error.code) ? "timed out" : error.code || error.message;
+}
 
-  if (fs.existsSync(toyPackagePath)) {
-    toyPackageJson = JSON.parse(fs.readFileSync(toyPackagePath, "utf8"));
+/**
+
+Turns a failed request into an error that says what went wrong: E404 when the URL doesn't exist, EAUTH when the registry
+refused the credentials, and ENETWORK when the registry failed or couldn't be reached.
+@function describeRequestError
+@param {Error} error - The error the request failed with.
+@param {string} url - The URL that was requested.
+@param {number} attempts - How many times the request was tried.
+@returns {Error}
+*/
+function describeRequestError(error, url, attempts) {
+  const status = error.response && error.response.status;
+  const tries = attempts > 1 ? ` after ${attempts} attempts` : "";
+
+  if (status === 404) {
+    return createError("E404", `Not found: ${url}`);
   }
 
-  if (isDevDependency) {
-    toyPackageJson.devDependencies[packageName] = version;
-  } else {
-    toyPackageJson.dependencies[packageName] = version;
+  if (status === 401 || status === 403) {
+    return createError(
+      "EAUTH",
+      `${url} refused the request with status ${status}. Check the _authToken for this registry in .toyrc.`
+    );
+  }
+
+  if (status) {
+    return createError(status >= 500 ? "ENETWORK" : `E${status}`, `${url} failed with status ${status}${tries}`);
+  }
+
+  if (error.isAxiosError || RETRYABLE_ERROR_CODES.includes(error.code)) {
+    return createError("ENETWORK", `Could not reach ${url}: ${getFailureReason(error)}${tries}`);
   }
 
-  fs.writeFileSync(toyPackagePath, JSON.stringify(toyPackageJson, null, 2));
+  return error;
 }
 
 /**
- * Remove the specified package from toy-package.json.
- * @param {string} packageName - The name of the package to remove.
- */
-function removeFromToyPackageJson(packageName) {
-  const toyPackagePath = path.join(__dirname, "toy-package.json");
 
-  if (!fs.existsSync(toyPackagePath)) {
-    return;
-  }
+Runs a network task, trying it again with exponential backoff while it fails with a retryable error.
+The number of retries and the bounds of the backoff come from the fetch-retries settings.
+@async
+@function withRetries
+@param {string} url - The URL the task requests, for messages.
+@param {Function} task - The request to make. It is called again for each attempt.
+@param {object} [options]
+@param {number} [options.retries] - How many times to retry. Defaults to `fetch-retries`.
+@returns {Promise<*>} - What the task returns.
+@throws {Error} - The failure, described by describeRequestError.
+*/
+async function withRetries(url, task, { retries = Number(getConfig()["fetch-retries"]) } = {}) {
+  const minTimeout = Number(getConfig()["fetch-retry-mintimeout"]);
+  const maxTimeout = Number(getConfig()["fetch-retry-maxtimeout"]);
 
-  const toyPackageJson = JSON.parse(fs.readFileSync(toyPackagePath, "utf8"));
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt > retries || !isRetryableError(error)) {
+        throw describeRequestError(error, url, attempt);
+      }
 
-  delete toyPackageJson.dependencies[packageName];
-  delete toyPackageJson.devDependencies[packageName];
+      const delay = Math.min(minTimeout * 2 ** (attempt - 1), maxTimeout);
 
-  fs.writeFileSync(toyPackagePath, JSON.stringify(toyPackageJson, null, 2));
+      warn(`${url} failed (${getFailureReason(error)}), retrying in ${delay}ms (${attempt}/${retries})`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
 }
 
 /**
- * Initializes a new `toy-package.json` file with default values if it does not exist.
- * If it already exists, logs a message to the console and does nothing.
- */
-function initToyPackageJson() {
-  const toyPackagePath = path.join(__dirname, "toy-package.json");
 
-  if (fs.existsSync(toyPackagePath)) {
-    console.log("toy-package.json already exists.");
-    return;
-  }
+Makes an HTTP request with the configured timeout, retrying it when it fails with a retryable error.
+@async
+@function sendRequest
+@param {object} request - The axios request config. `url` is required.
+@param {object} [options] - Passed to withRetries.
+@returns {Promise<object>} - The axios response.
+*/
+function sendRequest(request, options) {
+  return withRetries(request.url, () => axios.request({ timeout: Number(getConfig()["fetch-timeout"]), ...request }), options);
+}
 
-  const defaultToyPackageJson = {
-    name: "toy-project",
-    version: "1.0.0",
-    description: "",
-    main: "index.js",
-    scripts: {
-      test: "echo \"Error: no test specified\" && exit 1",
-    },
-    keywords: [],
-    author: "",
-    license: "ISC",
-    dependencies: {},
-    devDependencies: {},
-  };
+/**
 
-  fs.writeFileSync(toyPackagePath, JSON.stringify(defaultToyPackageJson, null, 2));
-  console.log("Created toy-package.json with default values.");
+Gets the path of a package's cached metadata in the cache directory.
+@function getPackumentCachePath
+@param {string} packageName - The name of the package.
+@returns {string} - The path of the cached metadata file.
+*/
+function getPackumentCachePath(packageName) {
+  return path.join(getConfig().cache, "packuments", `${encodeURIComponent(packageName)}.json`);
 }
 
 /**
-Main function that parses command line arguments and performs the corresponding action
+
+Gets the path a tarball is stored at in the cache directory. Tarballs are keyed by their integrity,
+so the same content is only ever stored once: content/<algorithm>/<first two hex digits>/<rest of the hex digest>.
+@function getContentCachePath
+@param {string} integrity - The SRI integrity string of the tarball.
+@returns {string} - The path of the cached tarball.
 */
-async function main() {
-  const [action, packageName, ...restArgs] = process.argv.slice(2);
+function getContentCachePath(integrity) {
+  const { algorithm, digest } = parseIntegrity(integrity);
+  const hex = Buffer.from(digest, "base64").toString("hex");
 
-  let version;
-  let saveOption;
-  let isDevDependency = false;
+  return path.join(getConfig().cache, "content", algorithm, hex.slice(0, 2), hex.slice(2));
+}
 
-  if (!action) {
-    await installFromToyPackageJson();
-    return;
-  }
+/**
 
-  restArgs.forEach((arg) => {
-    if (arg.startsWith("--save")) {
-      saveOption = arg;
-    } else {
-      version = arg;
-    }
-  });
+Writes a file into the cache atomically, so an interrupted write never leaves a partial entry behind.
+@function writeCacheFile
+@param {string} filePath - The path of the cache entry.
+@param {string|Buffer} contents - The contents to write.
+@returns {void}
+*/
+function writeCacheFile(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
 
-  isDevDependency = saveOption === "--save-dev";
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, contents);
+  fs.renameSync(tempPath, filePath);
+}
 
-  switch (action) {
-    case "init":
-      initToyPackageJson();
-      break;
-    case "install":
-      await installPackage(packageName, version, isDevDependency);
-      console.log(`Installed ${packageName}@${version || "latest"}`);
-      break;
-    case "uninstall":
-      if (packageName) {
-        const isDevDependency = restArgs.includes("--dev") || restArgs.includes("--save-dev");
-        await uninstallPackage(packageName, isDevDependency);
-      } else {
-        await uninstallAllPackages();
-      }
-      break;
-      default:
-        console.error("Invalid action. Use 'install' or 'uninstall'.");
+/**
+
+Reads a package's cached metadata entry, if there is one.
+@function readCachedPackument
+@param {string} packageName - The name of the package.
+@returns {{etag: ?string, lastModified: ?string, fetchedAt: string, data: object}|null} - The cache entry, or null on a cache miss.
+*/
+function readCachedPackument(packageName) {
+  const cachePath = getPackumentCachePath(packageName);
+
+  if (!fs.existsSync(cachePath)) {
+    return null;
   }
+
+  return JSON.parse(fs.readFileSync(cachePath, "utf8"));
 }
 
+/**
+
+Fetches the metadata for a given package from its configured registry.
+Scoped names are URL-encoded (@scope%2fname) the way registries expect.
+Metadata is cached with its ETag and Last-Modified headers, so later requests are conditional and a 304 reuses the cached copy.
+With `offline` the cache is the only source, and with `prefer-offline` a cached copy is used without revalidating it.
+@async
+@function fetchPackageMetadata
+@param {string} packageName - The name of the package to fetch metadata for.
+@returns {Promise<object>} - The package metadata object.
+@throws {Error} - If `offline` is set and the metadata is not cached, or the registry doesn't have the package.
+*/
+async function fetchPackageMetadata(packageName) {
+  const cached = readCachedPackument(packageName);
+
+  if (isConfigEnabled("offline")) {
+    if (!cached) {
+      throw createError("ENOTCACHED", `Metadata for ${packageName} is not in the cache and --offline is set`);
+    }
+    return cached.data;
+  }
+
+  if (cached && isConfigEnabled("prefer-offline")) {
+    return cached.data;
+  }
+
+  const packageUrl = `${getRegistryForPackage(packageName)}${packageName.replace("/", "%2f")}`;
+  const headers = getRequestHeaders(packageUrl);
+
+  if (cached && cached.etag) {
+    headers["If-None-Match"] = cached.etag;
+  }
+  if (cached && cached.lastModified) {
+    headers["If-Modified-Since"] = cached.lastModified;
+  }
 
-main().catch((error) => {
-  console.error(`Error: ${error.message}`);
-});
+  let response;
 
+  try {
+    response = await sendRequest({
+      url: packageUrl,
+      headers,
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+    });
+  } catch (error) {
+    if (error.code === "E404") {
+      throw createError("E404", `Package ${packageName} not found in ${getRegistryForPackage(packageName)}`);
+    }
+    throw error;
+  }
+
+  const data = response.status === 304 ? cached.data : response.data;
+
+  writeCacheFile(
+    getPackumentCachePath(packageName),
+    JSON.stringify({
+      etag: response.headers.etag || (cached && cached.etag) || null,
+      lastModified: response.headers["last-modified"] || (cached && cached.lastModified) || null,
+      fetchedAt: new Date().toISOString(),
+      data,
+    })
+  );
+
+  return data;
+}
+
+/**
+
+Resolves a version spec (exact version, range or dist-tag) against the package metadata.
+A dist-tag wins over a range of the same name, and "latest" is preferred whenever it satisfies the range, as npm does.
+@function resolveVersion
+@param {object} metadata - The package metadata (packument) returned by the registry.
+@param {string} [spec] - The version, range or dist-tag to resolve. Defaults to "latest".
+@returns {string} - The resolved exact version.
+@throws {Error} - If no version of the package matches the spec.
+*/
+function resolveVersion(metadata, spec) {
+  const distTags = metadata["dist-tags"] || {};
+  const versions = Object.keys(metadata.versions || {});
+  const wanted = (spec || "latest").trim();
+
+  if (distTags[wanted]) {
+    return distTags[wanted];
+  }
+
+  if (validRange(wanted)) {
+    if (distTags.latest && maxSatisfying([distTags.latest], wanted)) {
+      return distTags.latest;
+    }
+
+    const resolvedVersion = maxSatisfying(versions, wanted);
+    if (resolvedVersion) {
+      return resolvedVersion;
+    }
+  }
+
+  throw createError("ETARGET", `No version of ${metadata.name} matches ${wanted}`);
+}
+
+/**
+
+Works out the spec to save in toy-package.json for an installed package.
+Ranges and exact versions are saved as the user wrote them; dist-tags and empty specs are saved as a caret range on the resolved version.
+Aliases get the same treatment for their range, and other specifiers (files, links, URLs and git) are saved as they are.
+@function getSaveSpec
+@param {string} [spec] - The spec the user asked for.
+@param {string} resolvedVersion - The version that was installed.
+@returns {string} - The spec to save.
+*/
+function getSaveSpec(spec, resolvedVersion) {
+  const source = parseDependencySpec(spec);
+
+  if (source.type === "alias") {
+    return `npm:${source.name}@${getSaveSpec(source.range, resolvedVersion)}`;
+  }
+
+  if (source.type !== "registry") {
+    return spec.trim();
+  }
+
+  if (spec && spec.trim() !== "latest" && validRange(spec)) {
+    return spec.trim();
+  }
+
+  return valid(resolvedVersion) ? `^${resolvedVersion}` : resolvedVersion;
+}
+
+/**
+
+Downloads a package tarball. A `file:` URL is read from disk instead, relative to the project.
+The request is made once; downloadToFile retries the whole download.
+@async
+@function downloadTarball
+@param {string} tarballUrl - The URL of the tarball.
+@returns {Promise<stream.Readable>} - A readable stream containing the tarball data.
+*/
+async function downloadTarball(tarballUrl) {
+  if (tarballUrl.startsWith("file:")) {
+    return fs.createReadStream(path.resolve(projectDir, tarballUrl.slice("file:".length)));
+  }
+
+  const { data } = await axios.get(tarballUrl, {
+    responseType: "stream",
+    headers: getRequestHeaders(tarballUrl),
+    timeout: Number(getConfig()["fetch-timeout"]),
+  });
+  return data;
+}
+
+/**
+
+Downloads a tarball to a file and hashes it on the way. A download that stalls for longer than `fetch-timeout` is
+abandoned, and failed downloads are retried from the start.
+@async
+@function downloadToFile
+@param {string} tarballUrl - The URL of the tarball, or a `file:` path.
+@param {string} filePath - Where to write it. Nothing is left there if the download fails.
+@param {string} algorithm - The hash algorithm, e.g. sha512.
+@returns {Promise<string>} - The base64 digest of the tarball.
+*/
+function downloadToFile(tarballUrl, filePath, algorithm) {
+  const timeout = Number(getConfig()["fetch-timeout"]);
+
+  return withRetries(tarballUrl, async () => {
+    const packageStream = await downloadTarball(tarballUrl);
+    const hash = crypto.createHash(algorithm);
+    let idleTimer = null;
+
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(
+        () => packageStream.destroy(createError("ETIMEDOUT", `no data for ${timeout}ms`)),
+        timeout
+      );
+    };
+
+    packageStream.on("data", (chunk) => {
+      hash.update(chunk);
+      resetIdleTimer();
+
+      if (!tarballUrl.startsWith("file:")) {
+        events.emit("download", { url: tarballUrl, bytes: chunk.length });
+      }
+    });
+    resetIdleTimer();
+
+    // pipeline closes both streams when either fails, so a broken download can't leave the install waiting
+    try {
+      await pipeline(packageStream, fs.createWriteStream(filePath));
+    } catch (error) {
+      fs.rmSync(filePath, { force: true });
+      throw error;
+    } finally {
+      clearTimeout(idleTimer);
+    }
+
+    return hash.digest("base64");
+  });
+}
+
+/**
+
+Loads the metadata for a package, fetching it from the registry at most once per install.
+@async
+@function loadPackageMetadata
+@param {string} packageName - The name of the package.
+@param {Map<string, Promise<object>>} metadataCache - Metadata requests already made during this install, keyed by package name.
+@returns {Promise<object>} - The package metadata object.
+*/
+function loadPackageMetadata(packageName, metadataCache) {
+  if (!metadataCache.has(packageName)) {
+    metadataCache.set(packageName, fetchPackageMetadata(packageName));
+  }
+
+  return metadataCache.get(packageName);
+}
+
+/**
+
+Works out what kind of dependency a spec from toy-package.json or the command line refers to:
+- `npm:real-name@range`, an alias installed under another name
+- `file:../lib` (a folder, which is packed and copied) or `file:../lib.tgz` (a tarball)
+- `link:../lib`, a folder that is symlinked
+- `https://host/x.tgz`, a remote tarball
+- `git+https://…`, `git+ssh://…`, `git+file://…` or `git://…`, optionally followed by `#commit`, `#tag` or `#semver:range`
+- anything else is a version, range or dist-tag from the registry
+@function parseDependencySpec
+@param {string} [spec] - The spec.
+@returns {object} - The type of the spec, plus `name` and `range` for aliases, `path` for files and links,
+`url` for tarballs, and `repository`, `url` and `committish` for git.
+*/
+function parseDependencySpec(spec) {
+  const value = (spec || "").trim();
+
+  if (value.startsWith("npm:")) {
+    const aliased = value.slice("npm:".length);
+    const separator = aliased.indexOf("@", 1);
+
+    return separator === -1
+      ? { type: "alias", name: aliased, range: "latest" }
+      : { type: "alias", name: aliased.slice(0, separator), range: aliased.slice(separator + 1) || "latest" };
+  }
+
+  if (value.startsWith("link:")) {
+    return { type: "link", path: value.slice("link:".length) };
+  }
+
+  if (value.startsWith("file:")) {
+    const filePath = value.slice("file:".length);
+    return { type: /\.(tgz|tar\.gz|tar)$/.test(filePath) ? "file" : "directory", path: filePath };
+  }
+
+  if (/^git(\+(https?|ssh|file))?:\/\//.test(value)) {
+    const [repository, committish = ""] = value.split("#");
+    return { type: "git", repository, url: repository.replace(/^git\+/, ""), committish };
+  }
+
+  if (/^https?:\/\//.test(value)) {
+    return { type: "remote", url: value };
+  }
+
+  return { type: "registry", range: value || "latest" };
+}
+
+/**
+
+Turns a `file:` or `link:` path into a path relative to the project, with forward slashes, so lockfile entries are the same on every machine.
+@function getProjectRelativePath
+@param {string} sourcePath - The path, relative to the project or absolute.
+@returns {string}
+*/
+function getProjectRelativePath(sourcePath) {
+  return path.relative(projectDir, path.resolve(projectDir, sourcePath)).split(path.sep).join("/");
+}
+
+/**
+
+Checks whether a resolved package is acceptable for a dependency spec. Registry specs (and aliases) compare versions,
+while the other kinds have to come from the same place: the same folder, tarball or repository.
+@function satisfiesSpec
+@param {object} packageInfo - The tree node or resolved package, with version, resolved and packageName.
+@param {string} name - The name the dependency is installed under.
+@param {string} spec - The spec the dependent asks for.
+@returns {boolean}
+*/
+function satisfiesSpec(packageInfo, name, spec) {
+  const source = parseDependencySpec(spec);
+  const packageName = packageInfo.packageName || name;
+
+  switch (source.type) {
+    case "registry":
+      return packageName === name && satisfies(packageInfo.version, source.range);
+    case "alias":
+      return packageName === source.name && satisfies(packageInfo.version, source.range);
+    case "git":
+      return (
+        packageInfo.resolved.startsWith(`${source.repository}#`) &&
+        (!/^[0-9a-f]{40}$/.test(source.committish) || packageInfo.resolved.endsWith(`#${source.committish}`))
+      );
+    case "link":
+      return packageInfo.resolved === getProjectRelativePath(source.path);
+    case "remote":
+      return packageInfo.resolved === source.url;
+    default:
+      return packageInfo.resolved === `file:${getProjectRelativePath(source.path)}`;
+  }
+}
+
+/**
+
+Downloads (or reads) a tarball into the content cache without knowing its integrity up front.
+@async
+@function cacheTarball
+@param {string} tarballUrl - The URL of the tarball, or a `file:` path.
+@returns {Promise<{integrity: string, contentPath: string}>} - The sha512 integrity of the tarball and its path in the cache.
+*/
+async function cacheTarball(tarballUrl) {
+  const tempPath = path.join(getConfig().cache, `download-${process.pid}-${crypto.randomUUID()}.tmp`);
+
+  fs.mkdirSync(getConfig().cache, { recursive: true });
+
+  const integrity = `sha512-${await downloadToFile(tarballUrl, tempPath, "sha512")}`;
+  const contentPath = getContentCachePath(integrity);
+
+  fs.mkdirSync(path.dirname(contentPath), { recursive: true });
+  fs.renameSync(tempPath, contentPath);
+  return { integrity, contentPath };
+}
+
+/**
+
+Reads the package.json out of a package tarball.
+@async
+@function readTarballManifest
+@param {string} tarballPath - The path of the tarball.
+@returns {Promise<object>} - The parsed package.json.
+@throws {Error} - If the tarball has no package.json at its top level.
+*/
+async function readTarballManifest(tarballPath) {
+  const extractPath = fs.mkdtempSync(path.join(os.tmpdir(), "toy-manifest-"));
+
+  try {
+    await tar.x({ file: tarballPath, cwd: extractPath, strip: 1, filter: (entry) => /^[^/]+\/package\.json$/.test(entry) });
+    const manifest = readPackageManifest(extractPath);
+
+    if (!manifest) {
+      throw createError("ENOENT", `${tarballPath} has no package.json`);
+    }
+
+    return manifest;
+  } finally {
+    fs.rmSync(extractPath, { recursive: true, force: true });
+  }
+}
+
+/**
+
+Packs a folder the same way `pack` does and adds the tarball to the content cache.
+@async
+@function packSourceIntoCache
+@param {string} sourcePath - The folder to pack.
+@returns {Promise<{manifest: object, integrity: string}>} - The folder's manifest and the integrity of the cached tarball.
+*/
+async function packSourceIntoCache(sourcePath) {
+  const stagingPath = fs.mkdtempSync(path.join(os.tmpdir(), "toy-source-"));
+
+  try {
+    const { manifest, tarballPath } = await packProject(stagingPath, sourcePath);
+    const { integrity } = await cacheTarball(`file:${tarballPath}`);
+
+    return { manifest, integrity };
+  } finally {
+    fs.rmSync(stagingPath, { recursive: true, force: true });
+  }
+}
+
+/**
+
+Runs a git command and returns what it printed. Prompts are turned off, so a repository that needs credentials fails instead of hanging.
+@async
+@function runGit
+@param {string[]} args - The git arguments.
+@param {string} [cwd] - The folder to run git in.
+@returns {Promise<string>} - The standard output.
+*/
+async function runGit(args, cwd) {
+  const { stdout } = await promisify(execFile)("git", args, {
+    cwd,
+    env: { ...process.env, GIT_TERMINAL_PROMPT: "0" },
+    maxBuffer: 16 * 1024 * 1024,
+  });
+
+  return stdout;
+}
+
+/**
+
+Checks whether a locked commit of a cloned repository still matches a committish: for `semver:range`, a tag on the commit
+satisfies the range; for a branch (or the default branch), the commit is on it; for anything else, the ref is the commit.
+@async
+@function isLockedCommitCurrent
+@param {string} clonePath - The cloned repository.
+@param {string} commit - The commit the lockfile recorded.
+@param {string} committish - The committish of the dependency spec.
+@returns {Promise<boolean>}
+*/
+async function isLockedCommitCurrent(clonePath, commit, committish) {
+  const succeeds = (args) => runGit(args, clonePath).then(() => true, () => false);
+
+  if (!(await succeeds(["cat-file", "-e", `${commit}^{commit}`]))) {
+    return false;
+  }
+
+  if (committish.startsWith("semver:")) {
+    const range = committish.slice("semver:".length);
+    const tags = (await runGit(["tag", "--points-at", commit], clonePath)).split("\n").filter((tag) => valid(tag.replace(/^v/, "")));
+
+    return tags.some((tag) => satisfies(tag.replace(/^v/, ""), range));
+  }
+
+  const branch = `refs/remotes/origin/${committish || "HEAD"}`;
+
+  if (await succeeds(["rev-parse", "--verify", "--quiet", branch])) {
+    return succeeds(["merge-base", "--is-ancestor", commit, branch]);
+  }
+
+  const target = await runGit(["rev-parse", `${committish}^{commit}`], clonePath).catch(() => "");
+  return target.trim() === commit;
+}
+
+/**
+
+Clones a git dependency, checks out the commit, tag or highest tag matching `semver:range`, and packs it into the cache.
+A locked commit that still matches the committish is checked out instead, so installs don't move to newer commits by themselves.
+@async
+@function resolveGitPackage
+@param {object} source - The parsed git spec.
+@param {string} [lockedCommit] - The commit the lockfile recorded for this dependency, from the same repository.
+@returns {Promise<object>} - The package's manifest, with `resolved` pinned to the exact commit and the integrity of the packed tarball.
+@throws {Error} - If the repository can't be cloned or nothing matches the committish.
+*/
+async function resolveGitPackage({ repository, url, committish }, lockedCommit) {
+  const clonePath = fs.mkdtempSync(path.join(os.tmpdir(), "toy-git-"));
+
+  try {
+    await runGit(["clone", "--quiet", url, clonePath]);
+    let ref = committish;
+
+    if (lockedCommit && (await isLockedCommitCurrent(clonePath, lockedCommit, committish))) {
+      ref = lockedCommit;
+    } else if (committish.startsWith("semver:")) {
+      const range = committish.slice("semver:".length);
+      const tags = (await runGit(["tag", "--list"], clonePath)).split("\n").filter((tag) => valid(tag.replace(/^v/, "")));
+      const version = maxSatisfying(tags.map((tag) => tag.replace(/^v/, "")), range);
+
+      if (!version) {
+        throw createError("ETARGET", `No tag of ${repository} matches ${range}`);
+      }
+
+      ref = tags.find((tag) => tag.replace(/^v/, "") === version);
+    }
+
+    if (ref) {
+      await runGit(["checkout", "--quiet", ref], clonePath);
+    }
+
+    const commit = (await runGit(["rev-parse", "HEAD"], clonePath)).trim();
+    const { manifest, integrity } = await packSourceIntoCache(clonePath);
+
+    return { ...manifest, resolved: `${repository}#${commit}`, integrity };
+  } finally {
+    fs.rmSync(clonePath, { recursive: true, force: true });
+  }
+}
+
+/**
+
+Resolves a dependency that doesn't come from the registry to its manifest and where it lives.
+Folders, tarballs and git checkouts end up in the content cache, so they are extracted like any registry package.
+@async
+@function resolveSourcePackage
+@param {object} source - The parsed spec, from parseDependencySpec.
+@param {string} [lockedCommit] - For git dependencies, the commit the lockfile recorded (see resolveGitPackage).
+@returns {Promise<object>} - The package's manifest, plus `resolved`, `integrity` and, for `link:`, `link: true`.
+@throws {Error} - If the folder, tarball or repository can't be read.
+*/
+async function resolveSourcePackage(source, lockedCommit) {
+  if (source.type === "git") {
+    return resolveGitPackage(source, lockedCommit);
+  }
+
+  if (source.type === "link") {
+    const folder = getProjectRelativePath(source.path);
+    const manifest = readPackageManifest(path.join(projectDir, folder));
+
+    if (!manifest) {
+      throw createError("ENOENT", `link:${source.path} has no package.json or toy-package.json`);
+    }
+
+    return { ...manifest, resolved: folder, link: true };
+  }
+
+  if (source.type === "directory") {
+    const folder = getProjectRelativePath(source.path);
+    const { manifest, integrity } = await packSourceIntoCache(path.join(projectDir, folder));
+
+    return { ...manifest, resolved: `file:${folder}`, integrity };
+  }
+
+  const resolved = source.type === "file" ? `file:${getProjectRelativePath(source.path)}` : source.url;
+  const { integrity, contentPath } = await cacheTarball(resolved);
+
+  return { ...(await readTarballManifest(contentPath)), resolved, integrity };
+}
+
+/**
+
+Loads the package a dependency spec points to: registry metadata for registry specs and aliases, or the resolved
+package for everything else. Each is looked up at most once per install.
+@async
+@function loadDependencySource
+@param {string} name - The name the dependency is installed under.
+@param {string} spec - The dependency spec.
+@param {Map<string, Promise<object>>} metadataCache - Lookups already made during this install.
+@param {object} [lockedEntry] - The lockfile entry the dependent resolved to last time, if any.
+@returns {Promise<object>} - The package metadata, or the resolved package.
+*/
+function loadDependencySource(name, spec, metadataCache, lockedEntry) {
+  const source = parseDependencySpec(spec);
+
+  if (source.type === "registry" || source.type === "alias") {
+    return loadPackageMetadata(source.name || name, metadataCache);
+  }
+
+  // A git dependency keeps the commit it was locked to, as long as the lock is for the same repository
+  const locked = lockedEntry && lockedEntry.resolved ? parseDependencySpec(lockedEntry.resolved) : null;
+  const lockedCommit = source.type === "git" && locked && locked.type === "git" && locked.repository === source.repository
+    ? locked.committish
+    : undefined;
+  const key = `${source.type}:${spec.trim()}${lockedCommit ? `@${lockedCommit}` : ""}`;
+
+  if (!metadataCache.has(key)) {
+    metadataCache.set(key, resolveSourcePackage(source, lockedCommit));
+  }
+
+  return metadataCache.get(key);
+}
+
+/**
+
+Creates a node of the dependency tree for a resolved package and places it under a parent node.
+Locations always use forward slashes, since they double as toy-package-lock.json keys.
+@function createPackageNode
+@param {object} parent - The tree node the package is placed under (the root for hoisted packages).
+@param {string} name - The name of the package.
+@param {object} packageInfo - The resolved package.
+@param {string} [packageInfo.name] - The real name of the package, when it is installed under an alias.
+@param {string} packageInfo.version - The resolved version.
+@param {string} packageInfo.resolved - The tarball URL, `file:` path, pinned git URL, or the folder of a link.
+@param {string} packageInfo.integrity - The SRI integrity string of the tarball.
+@param {object} [packageInfo.dependencies] - The package's own dependencies, as a name to spec map. Includes the optional ones.
+@param {object} [packageInfo.optionalDependencies] - The dependencies that may fail to install without failing the install.
+@param {object} [packageInfo.peerDependencies] - The packages it expects its dependent to provide, as a name to spec map.
+@param {object} [packageInfo.peerDependenciesMeta] - Per peer settings, e.g. `{optional: true}` for peers that are never installed for it.
+@param {string[]} [packageInfo.os] - The platforms the package supports, or `!platform` for the ones it doesn't.
+@param {string[]} [packageInfo.cpu] - The CPU architectures the package supports, in the same form.
+@param {string[]} [packageInfo.libc] - The C libraries (glibc or musl) the package supports, in the same form.
+@param {object} [packageInfo.engines] - The runtime versions the package supports, e.g. `{node: ">=18"}`.
+@param {boolean} [packageInfo.optional] - Whether the package is only reached through optional dependencies.
+@param {boolean} [packageInfo.peer] - Whether the package was installed to satisfy a peer dependency.
+@param {boolean} [packageInfo.link] - Whether the node is a symlink to a workspace, in which case resolved is the workspace folder.
+@returns {object} - The new tree node.
+*/
+function createPackageNode(parent, name, packageInfo) {
+  const node = {
+    name,
+    packageName: packageInfo.name || name,
+    version: packageInfo.version,
+    resolved: packageInfo.resolved,
+    integrity: packageInfo.integrity,
+    isLink: Boolean(packageInfo.link),
+    dependencies: packageInfo.dependencies || {},
+    optionalDependencies: packageInfo.optionalDependencies || {},
+    peerDependencies: packageInfo.peerDependencies || {},
+    peerDependenciesMeta: packageInfo.peerDependenciesMeta || {},
+    os: packageInfo.os,
+    cpu: packageInfo.cpu,
+    libc: packageInfo.libc,
+    engines: packageInfo.engines,
+    optional: Boolean(packageInfo.optional),
+    peer: Boolean(packageInfo.peer),
+    parent,
+    children: new Map(),
+    location: parent.isRoot
+      ? `toy_node_modules/${name}`
+      : `${parent.location}/node_modules/${name}`,
+  };
+
+  parent.children.set(name, node);
+  return node;
+}
+
+/**
+
+Finds the node a dependency currently resolves to, walking up the tree the same way Node's module resolution does.
+@function findResolvedNode
+@param {object} node - The tree node that has the dependency.
+@param {string} name - The name of the dependency.
+@returns {object|null} - The nearest tree node with that name, or null if it has not been placed yet.
+*/
+function findResolvedNode(node, name) {
+  for (let current = node; current; current = current.parent) {
+    if (current.children.has(name)) {
+      return current.children.get(name);
+    }
+  }
+
+  return null;
+}
+
+/**
+
+Checks whether placing a package under a node would change what an already placed dependent in that subtree resolves to, and break its range.
+@function wouldShadowDependents
+@param {object} target - The candidate parent node.
+@param {string} name - The name of the package to place.
+@param {object} packageInfo - The package to place, with its version and resolved fields.
+@returns {boolean} - True if some dependent would end up with a version outside its range.
+*/
+function wouldShadowDependents(target, name, packageInfo) {
+  const stack = [target];
+
+  while (stack.length) {
+    const node = stack.pop();
+    stack.push(...node.children.values());
+
+    const range = node.dependencies[name];
+    const resolved = findResolvedNode(node, name);
+
+    if (!range || !resolved || satisfiesSpec(packageInfo, name, range)) {
+      continue;
+    }
+
+    // Only dependents that currently resolve to a package above the target are affected
+    let resolvesBelowTarget = false;
+    for (let current = node; current !== target.parent; current = current.parent) {
+      if (current.children.get(name) === resolved) {
+        resolvesBelowTarget = true;
+        break;
+      }
+    }
+
+    if (!resolvesBelowTarget) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+
+Finds where to place a new package needed by a node: as high up the tree as possible (hoisted), but below any conflicting version of the same package.
+@function findPlacement
+@param {object} node - The tree node that depends on the package.
+@param {string} name - The name of the package.
+@param {object} packageInfo - The resolved package, with its version and resolved fields.
+@returns {object} - The tree node to place the package under.
+@throws {Error} - If the package cannot be placed without breaking another dependent.
+*/
+function findPlacement(node, name, packageInfo) {
+  let target = null;
+
+  for (let current = node; current; current = current.parent) {
+    if (current.children.has(name)) {
+      break;
+    }
+
+    if (!wouldShadowDependents(current, name, packageInfo)) {
+      target = current;
+    }
+  }
+
+  if (!target) {
+    throw createError("ERESOLVE", `Unable to place ${name}@${packageInfo.version} needed by ${node.name}`);
+  }
+
+  return target;
+}
+
+/**
+
+Replaces the specs of overridden packages in a node's dependencies and peer dependencies, so everything in the tree
+that depends on them resolves to the override instead.
+@function applyOverrides
+@param {object} node - The tree node. It is changed in place.
+@param {object} overrides - The `overrides` field of the root toy-package.json: package name to spec.
+@returns {void}
+*/
+function applyOverrides(node, overrides) {
+  for (const [name, spec] of Object.entries(overrides)) {
+    for (const field of ["dependencies", "optionalDependencies", "peerDependencies"]) {
+      if (node[field][name] !== undefined) {
+        node[field] = { ...node[field], [name]: spec };
+      }
+    }
+  }
+}
+
+/**
+
+Lists the dependencies a node needs installed. Peer dependencies are resolved from the node's parent rather than
+the node itself, since the dependent is expected to provide them, and optional peers are never installed.
+With `legacy-peer-deps` peers are not installed at all, only checked afterwards.
+@function getDependencyEdges
+@param {object} node - The tree node.
+@returns {{name: string, spec: string, from: object, optional: boolean, peer: boolean}[]} - The dependencies, with the node to resolve each from.
+*/
+function getDependencyEdges(node) {
+  const optionalDependencies = node.optionalDependencies || {};
+  const edges = Object.entries(node.dependencies).map(([name, spec]) => ({
+    name,
+    spec,
+    from: node,
+    optional: Boolean(node.optional) || name in optionalDependencies,
+    peer: false,
+  }));
+
+  if (node.isRoot || node.isLink || isConfigEnabled("legacy-peer-deps")) {
+    return edges;
+  }
+
+  for (const [name, spec] of Object.entries(node.peerDependencies)) {
+    if (!(node.peerDependenciesMeta[name] || {}).optional) {
+      edges.push({ name, spec, from: node.parent, optional: node.optional, peer: true });
+    }
+  }
+
+  return edges;
+}
+
+/**
+
+Gets the C library of the host, for packages that restrict `libc`.
+@function getHostLibc
+@returns {string|null} - glibc or musl on Linux, otherwise null.
+*/
+function getHostLibc() {
+  if (process.platform !== "linux") {
+    return null;
+  }
+
+  return process.report.getReport().header.glibcVersionRuntime ? "glibc" : "musl";
+}
+
+/**
+
+Checks a package's `os`, `cpu` and `libc` fields against the host. Each field lists the supported values,
+or the unsupported ones prefixed with `!`.
+@function getPlatformProblem
+@param {object} packageInfo - The manifest, lockfile entry or tree node of the package.
+@returns {string|null} - The fields that rule out this host, e.g. "os: darwin", or null if the package supports it.
+*/
+function getPlatformProblem(packageInfo) {
+  const checks = [
+    ["os", packageInfo.os, process.platform],
+    ["cpu", packageInfo.cpu, process.arch],
+  ];
+
+  if (packageInfo.libc) {
+    checks.push(["libc", packageInfo.libc, getHostLibc()]);
+  }
+
+  const problems = checks
+    .filter(([, allowed]) => allowed && allowed.length)
+    .filter(([, allowed, value]) => {
+      const values = [].concat(allowed);
+      const supported = values.filter((entry) => !entry.startsWith("!"));
+
+      return values.includes(`!${value}`) || (supported.length > 0 && !supported.includes(value));
+    })
+    .map(([field, allowed]) => `${field}: ${[].concat(allowed).join(",")}`);
+
+  return problems.length ? problems.join(", ") : null;
+}
+
+/**
+
+Checks a package's `engines.node` range against the running Node.js.
+@function getEngineProblem
+@param {object} packageInfo - The manifest, lockfile entry or tree node of the package.
+@returns {string|null} - The unsupported range, or null if this Node.js satisfies it.
+*/
+function getEngineProblem(packageInfo) {
+  const range = packageInfo.engines && packageInfo.engines.node;
+
+  if (!range || !validRange(range) || satisfies(process.versions.node, range)) {
+    return null;
+  }
+
+  return range;
+}
+
+/**
+
+Checks that every package's peer dependencies resolve, from its parent, to a version in range.
+@function getPeerDependencyProblems
+@param {object} root - The root node of the tree.
+@returns {string[]} - A description of each missing or conflicting peer.
+*/
+function getPeerDependencyProblems(root) {
+  const problems = [];
+
+  for (const node of listTreeNodes(root)) {
+    for (const [name, spec] of Object.entries(node.peerDependencies)) {
+      const target = findResolvedNode(node.parent, name);
+      const isOptional = (node.peerDependenciesMeta[name] || {}).optional;
+
+      if (!target && !isOptional) {
+        problems.push(`${node.name}@${node.version} requires a peer of ${name}@${spec}, but none is installed`);
+      } else if (target && validRange(spec) && !satisfies(target.version, spec)) {
+        problems.push(`${node.name}@${node.version} requires a peer of ${name}@${spec}, but ${name}@${target.version} is installed`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+
+Finds the lockfile entry a dependent resolved a package to last time: the nearest one on its node_modules lookup path.
+@function findNearestLockedEntry
+@param {object[]} lockedEntries - The lockfile entries for the package name, from getLockedPackages.
+@param {object} from - The dependent's tree node.
+@param {string} name - The package name.
+@returns {object|undefined}
+*/
+function findNearestLockedEntry(lockedEntries, from, name) {
+  for (let dependent = from; dependent; dependent = dependent.parent) {
+    const location = dependent.isRoot ? `toy_node_modules/${name}` : `${dependent.location}/node_modules/${name}`;
+    const entry = lockedEntries.find((candidate) => candidate.location === location);
+
+    if (entry) {
+      return entry;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+
+Builds the ideal dependency tree for a set of root dependencies.
+Each package's dependencies are read from the registry metadata, compatible versions are hoisted to the top of toy_node_modules,
+and conflicting versions are nested under the package that needs them. Dependencies that are already satisfied higher up are reused, which also ends cycles.
+Versions recorded in the lockfile are preferred over newer ones whenever they still satisfy the range, starting with the copy
+the dependent resolved to before.
+Aliases resolve against the real package's metadata, and folders, tarballs, links and git repositories are resolved by resolveSourcePackage.
+Workspaces are linked at the top of toy_node_modules first, so any dependency on a workspace that its version satisfies uses the link.
+Missing peer dependencies are installed next to the package that needs them; a peer that is present at the wrong version is left for
+getPeerDependencyProblems to report. An optional dependency that can't be resolved is skipped, and a package that doesn't support this
+platform stays in the tree (so the lockfile works everywhere) but its own dependencies aren't resolved.
+Overrides replace the spec of a package wherever something other than the root depends on it.
+@async
+@function buildDependencyTree
+@param {object} rootDependencies - The dependencies (and devDependencies) from toy-package.json, as a name to spec map.
+@param {object} [lockfile] - The current toy-package-lock.json, if any.
+@param {object[]} [workspaces=[]] - The workspaces of the project, from getWorkspaces.
+@param {object} [overrides={}] - The `overrides` field of toy-package.json: package name to the spec to use everywhere below the root.
+@returns {Promise<object>} - The root node of the tree.
+*/
+async function buildDependencyTree(rootDependencies, lockfile, workspaces = [], overrides = {}) {
+  const lockedPackages = getLockedPackages(lockfile);
+  const metadataCache = new Map();
+  const root = {
+    name: "toy-package.json",
+    isRoot: true,
+    dependencies: {
+      ...Object.fromEntries(workspaces.map((workspace) => [workspace.name, workspace.version])),
+      ...rootDependencies,
+    },
+    parent: null,
+    children: new Map(),
+    location: "",
+  };
+
+  const workspaceNodes = workspaces.map((workspace) =>
+    createPackageNode(root, workspace.name, {
+      version: workspace.version,
+      resolved: workspace.path,
+      dependencies: { ...workspace.manifest.dependencies, ...workspace.manifest.devDependencies },
+      link: true,
+    })
+  );
+
+  for (const node of workspaceNodes) {
+    applyOverrides(node, overrides);
+  }
+
+  // Breadth-first, so shallower dependents get the hoisted spots first
+  const queue = [root, ...workspaceNodes];
+
+  while (queue.length) {
+    const node = queue.shift();
+    const edges = getDependencyEdges(node);
+    const needsInstall = ({ name, spec, from, peer }) => {
+      const resolved = findResolvedNode(from, name);
+      return peer ? !resolved : !(resolved && satisfiesSpec(resolved, name, spec));
+    };
+
+    // Fetch all metadata for this level in parallel before placing anything
+    const metadataList = await Promise.all(
+      edges.map((edge) =>
+        needsInstall(edge)
+          ? loadDependencySource(
+              edge.name,
+              edge.spec,
+              metadataCache,
+              findNearestLockedEntry(lockedPackages.get(edge.name) || [], edge.from, edge.name)
+            ).catch((error) => {
+              if (!edge.optional) {
+                throw error;
+              }
+              return error;
+            })
+          : null
+      )
+    );
+
+    edges.forEach((edge, index) => {
+      const { name, spec, from, optional, peer } = edge;
+
+      if (!needsInstall(edge)) {
+        const resolved = findResolvedNode(from, name);
+
+        // A package that something needs for real is no longer optional
+        if (resolved && !optional) {
+          resolved.optional = false;
+        }
+        return;
+      }
+
+      try {
+        const metadata = metadataList[index];
+
+        if (metadata instanceof Error) {
+          throw metadata;
+        }
+
+        const source = parseDependencySpec(spec);
+        let packageInfo = metadata;
+
+        if (source.type === "registry" || source.type === "alias") {
+          // Only entries locked to this registry's tarball for the version count; a package that was installed from a
+          // folder, tarball, git or another alias under the same name says nothing about the registry's versions
+          const lockedEntries = (lockedPackages.get(name) || []).filter(
+            ({ version, resolved }) => metadata.versions[version] && metadata.versions[version].dist.tarball === resolved
+          );
+          const locked = new Map(lockedEntries.map(({ version, integrity }) => [version, integrity]));
+
+          // The copy this dependent resolved to last time wins over other locked copies, so a version pinned at one
+          // location (by audit fix, say) isn't traded for whatever is locked somewhere else
+          const nearest = findNearestLockedEntry(lockedEntries, from, name);
+          let lockedVersion = null;
+
+          if (validRange(source.range)) {
+            lockedVersion = nearest && satisfies(nearest.version, source.range)
+              ? nearest.version
+              : maxSatisfying([...locked.keys()], source.range);
+          }
+          const version =
+            lockedVersion && metadata.versions[lockedVersion] ? lockedVersion : resolveVersion(metadata, source.range);
+          const manifest = metadata.versions[version];
+
+          packageInfo = {
+            ...manifest,
+            resolved: manifest.dist.tarball,
+            // Keep the integrity the lockfile recorded, so a changed tarball is caught
+            integrity: locked.get(version) || getManifestIntegrity(manifest.dist),
+          };
+        }
+
+        const target = findPlacement(from, name, packageInfo);
+        const child = createPackageNode(target, name, {
+          ...packageInfo,
+          dependencies: { ...packageInfo.dependencies, ...packageInfo.optionalDependencies },
+          optional,
+          peer,
+        });
+
+        applyOverrides(child, overrides);
+        events.emit("resolve", { name, version: child.version, location: child.location });
+
+        if (!getPlatformProblem(child)) {
+          queue.push(child);
+        }
+      } catch (error) {
+        if (!optional) {
+          throw error;
+        }
+
+        warn(`skipping optional dependency ${name}@${spec}: ${error.message}`);
+      }
+    });
+  }
+
+  return root;
+}
+
+/**
+
+Lists every package node in a dependency tree, parents before children.
+@function listTreeNodes
+@param {object} root - The root node of the tree.
+@returns {object[]} - The package nodes.
+*/
+function listTreeNodes(root) {
+  const nodes = [];
+  const queue = [...root.children.values()];
+
+  while (queue.length) {
+    const node = queue.shift();
+    nodes.push(node);
+    queue.push(...node.children.values());
+  }
+
+  return nodes;
+}
+
+/**
+
+Reads the manifest of a package folder: its package.json, or its toy-package.json for a linked workspace.
+@function readPackageManifest
+@param {string} packagePath - The folder of the package.
+@returns {object|null} - The parsed manifest, or null if the folder has neither.
+*/
+function readPackageManifest(packagePath) {
+  for (const manifestName of ["package.json", "toy-package.json"]) {
+    const manifestPath = path.join(packagePath, manifestName);
+
+    if (fs.existsSync(manifestPath)) {
+      return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    }
+  }
+
+  return null;
+}
+
+/**
+
+Gets the folder of a tree location on disk. While a tree is being staged, locations in toy_node_modules map into the staging folder.
+@function getPackagePath
+@param {string} location - The location relative to the project, e.g. toy_node_modules/a/node_modules/b.
+@returns {string}
+*/
+function getPackagePath(location) {
+  if (stagingDir && isTreeLocation(location)) {
+    return path.join(stagingDir, location.slice("toy_node_modules/".length));
+  }
+
+  return path.join(projectDir, location);
+}
+
+/**
+
+Reads the version of the package installed at a tree location, if any.
+@function getInstalledVersion
+@param {string} location - The location relative to the project, e.g. toy_node_modules/a/node_modules/b.
+@returns {string|null} - The installed version, or null if nothing is installed there.
+*/
+function getInstalledVersion(location) {
+  const manifest = readPackageManifest(path.join(projectDir, location));
+  return manifest ? manifest.version : null;
+}
+
+/**
+
+Gets the SRI integrity string for a registry manifest's dist object.
+Registries that predate SRI only publish a hex sha1 shasum, which is converted to the same format.
+@function getManifestIntegrity
+@param {object} dist - The dist object from the registry manifest.
+@returns {string} - The SRI integrity string, e.g. sha512-...
+*/
+function getManifestIntegrity(dist) {
+  if (dist.integrity) {
+    return dist.integrity;
+  }
+
+  return `sha1-${Buffer.from(dist.shasum, "hex").toString("base64")}`;
+}
+
+/**
+
+Picks the strongest hash out of an SRI integrity string.
+@function parseIntegrity
+@param {string} integrity - The SRI integrity string. It may hold several space-separated hashes.
+@returns {{algorithm: string, digest: string}} - The hash algorithm and its base64 digest.
+@throws {Error} - If the integrity string has no supported hash.
+*/
+function parseIntegrity(integrity) {
+  const algorithms = ["sha512", "sha384", "sha256", "sha1"];
+  const hashes = integrity
+    .trim()
+    .split(/\s+/)
+    .map((hash) => {
+      const separator = hash.indexOf("-");
+      return { algorithm: hash.slice(0, separator), digest: hash.slice(separator + 1).split("?")[0] };
+    })
+    .filter(({ algorithm }) => algorithms.includes(algorithm))
+    .sort((a, b) => algorithms.indexOf(a.algorithm) - algorithms.indexOf(b.algorithm));
+
+  if (!hashes.length) {
+    throw createError("EINTEGRITY", `Unsupported integrity: ${integrity}`);
+  }
+
+  return hashes[0];
+}
+
+/**
+
+Computes the digest of a file with the given hash algorithm.
+@async
+@function hashFile
+@param {string} filePath - The file to hash.
+@param {string} algorithm - The hash algorithm, e.g. sha512.
+@returns {Promise<string>} - The base64 digest.
+*/
+async function hashFile(filePath, algorithm) {
+  const hash = crypto.createHash(algorithm);
+
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+
+  return hash.digest("base64");
+}
+
+/**
+
+Gets the tarball for a tree node from the cache, downloading it into the cache first on a miss.
+Both cached and downloaded tarballs are checked against the node's integrity before they are used.
+Folders and git repositories have no fixed integrity in the lockfile, so they are packed again from their `resolved` spec.
+@async
+@function fetchTarball
+@param {object} node - The tree node whose tarball is needed.
+@returns {Promise<string>} - The path of the verified tarball in the cache.
+@throws {Error} - If the tarball does not match the expected integrity, or `offline` is set and it is not cached.
+*/
+async function fetchTarball(node) {
+  if (!node.integrity) {
+    node.integrity = (await resolveSourcePackage(parseDependencySpec(node.resolved))).integrity;
+  }
+
+  const { algorithm, digest } = parseIntegrity(node.integrity);
+  const contentPath = getContentCachePath(node.integrity);
+
+  if (fs.existsSync(contentPath)) {
+    if ((await hashFile(contentPath, algorithm)) === digest) {
+      return contentPath;
+    }
+
+    // A corrupted cache entry is dropped and downloaded again
+    fs.unlinkSync(contentPath);
+  }
+
+  if (isConfigEnabled("offline")) {
+    throw createError("ENOTCACHED", `${node.name}@${node.version} is not in the cache and --offline is set`);
+  }
+
+  const tempPath = `${contentPath}.${process.pid}.tmp`;
+
+  fs.mkdirSync(path.dirname(contentPath), { recursive: true });
+
+  const actualDigest = await downloadToFile(node.resolved, tempPath, algorithm);
+
+  if (actualDigest !== digest) {
+    fs.unlinkSync(tempPath);
+    throw createError(
+      "EINTEGRITY",
+      `Integrity check failed for ${node.name}@${node.version}: expected ${algorithm}-${digest} but got ${algorithm}-${actualDigest}`
+    );
+  }
+
+  fs.renameSync(tempPath, contentPath);
+  return contentPath;
+}
+
+/**
+
+Extracts a single package into its location in the tree, from the cache or a fresh download.
+Anything left from a previous version is removed first, except the nested node_modules folder.
+@async
+@function extractPackageNode
+@param {object} node - The tree node to extract.
+@returns {Promise<void>}
+*/
+async function extractPackageNode(node) {
+  const packagePath = getPackagePath(node.location);
+  fs.mkdirSync(packagePath, { recursive: true });
+
+  for (const entry of fs.readdirSync(packagePath)) {
+    if (entry !== "node_modules") {
+      fs.rmSync(path.join(packagePath, entry), { recursive: true, force: true });
+    }
+  }
+
+  const tarballPath = await fetchTarball(node);
+  events.emit("fetch", { name: node.name, version: node.version });
+
+  await tar.x({ file: tarballPath, cwd: packagePath, strip: 1 });
+  events.emit("extract", { name: node.name, version: node.version, location: node.location });
+}
+
+/**
+
+Checks whether a tree node sits inside a workspace or `link:` folder, whose nested packages live outside toy_node_modules.
+@function isInsideLink
+@param {object} node - The tree node.
+@returns {boolean}
+*/
+function isInsideLink(node) {
+  for (let current = node.parent; !current.isRoot; current = current.parent) {
+    if (current.isLink) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+
+Copies a package that is already installed at the right version into the staging folder, without its nested node_modules.
+@function copyInstalledPackage
+@param {object} node - The tree node of the package.
+@returns {void}
+*/
+function copyInstalledPackage(node) {
+  const installedPath = path.join(projectDir, node.location);
+  const nestedModulesPath = path.join(installedPath, "node_modules");
+
+  fs.cpSync(installedPath, getPackagePath(node.location), {
+    recursive: true,
+    verbatimSymlinks: true,
+    filter: (source) => source !== nestedModulesPath,
+  });
+}
+
+/**
+
+Moves the staged tree into place as toy_node_modules. The tree it replaces is kept next to it until the install
+succeeds, so runInstallTransaction can roll back to it.
+@function swapStagedTree
+@param {string} stagingPath - The staging folder.
+@returns {void}
+*/
+function swapStagedTree(stagingPath) {
+  const modulesPath = path.join(projectDir, "toy_node_modules");
+
+  // Only the tree from before the transaction is kept; one staged earlier in the same transaction is just replaced
+  if (activeTransaction.swapped) {
+    fs.rmSync(modulesPath, { recursive: true, force: true });
+  } else if (fs.existsSync(modulesPath)) {
+    fs.renameSync(modulesPath, path.join(projectDir, PREVIOUS_FOLDER));
+  }
+
+  activeTransaction.swapped = true;
+  fs.renameSync(stagingPath, modulesPath);
+}
+
+/**
+
+Removes the packages inside workspace and `link:` folders that the tree no longer has, along with their bins.
+Those folders are written in place rather than staged, so swapping in the new tree doesn't clear them out.
+@function removeStaleLinkedPackages
+@param {object} root - The root node of the tree.
+@returns {void}
+*/
+function removeStaleLinkedPackages(root) {
+  const nodes = listTreeNodes(root);
+  const locations = new Set(nodes.map((node) => node.location));
+
+  for (const link of nodes.filter((node) => node.isLink)) {
+    for (const location of listInstalledPackages(`${link.location}/node_modules`).keys()) {
+      const packagePath = path.join(projectDir, location);
+
+      // A stale package may already be gone with the stale package it was nested in
+      if (locations.has(location) || !fs.existsSync(packagePath)) {
+        continue;
+      }
+
+      const modulesLocation = location.slice(0, location.lastIndexOf("/node_modules/") + "/node_modules".length);
+      unlinkPackageBins(packagePath, path.join(projectDir, modulesLocation, ".bin"));
+      fs.rmSync(packagePath, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+
+Writes a dependency tree to toy_node_modules. The new tree is staged in a folder next to it: packages already installed
+from the same source are copied over, the rest are extracted with a dynamic rate limit for concurrency, and bins are linked.
+An installed package counts as the same when its version matches and the lockfile recorded the same resolved spec and
+integrity for its location; folders and local tarballs are always extracted again, since their contents can change.
+Once every package is checked to be in place, the staged folder is swapped in and the install scripts of the extracted packages run.
+Workspaces and `link:` dependencies are symlinked first, since packages nested under them are extracted through the link,
+straight into the linked folder.
+Packages that don't support this platform are skipped.
+An optional package that fails to extract or build is removed from the tree instead of failing the install.
+Must run inside runInstallTransaction, which removes the replaced tree once the install succeeds or puts it back if it fails.
+@async
+@function reifyDependencyTree
+@param {object} root - The root node of the tree.
+@param {object} [options]
+@param {boolean} [options.clean=false] - Extract every package again instead of reusing installed ones.
+@returns {Promise<void>}
+@throws {Error} - If a package needs a different Node.js and `engine-strict` is set, or a package fails to install.
+*/
+async function reifyDependencyTree(root, { clean = false } = {}) {
+  const stagingPath = path.join(projectDir, STAGING_FOLDER);
+  const previousLockfile = readToyPackageLockJson();
+  const previousPackages =
+    previousLockfile && previousLockfile.lockfileVersion === LOCKFILE_VERSION ? previousLockfile.packages : {};
+
+  fs.rmSync(stagingPath, { recursive: true, force: true });
+  fs.mkdirSync(stagingPath, { recursive: true });
+  stagingDir = stagingPath;
+
+  let extracted;
+
+  try {
+    const links = listTreeNodes(root).filter((node) => node.isLink);
+
+    for (const node of links) {
+      linkPackageFolder(node);
+    }
+
+    const nodes = listTreeNodes(root).filter((node) => {
+      if (node.isLink) {
+        return false;
+      }
+
+      const platformProblem = getPlatformProblem(node);
+
+      if (platformProblem) {
+        warn(`skipping ${node.name}@${node.version}, which does not support this platform (${platformProblem})`);
+        return false;
+      }
+
+      return true;
+    });
+
+    const engineProblems = nodes
+      .filter((node) => getEngineProblem(node))
+      .map((node) => `${node.name}@${node.version} requires node ${getEngineProblem(node)}, but this is node ${process.versions.node}`);
+
+    if (engineProblems.length && isConfigEnabled("engine-strict")) {
+      throw createError("EBADENGINE", `Unsupported engine:\n  ${engineProblems.join("\n  ")}`);
+    }
+
+    for (const problem of engineProblems) {
+      warn(`unsupported engine: ${problem}`);
+    }
+
+    const isReusable = (node) => {
+      const previous = previousPackages[node.location];
+      const source = parseDependencySpec(node.resolved);
+
+      // Git dependencies have no integrity in the lockfile, but their resolved spec pins the commit
+      return (
+        !clean &&
+        Boolean(previous) &&
+        !["directory", "file"].includes(source.type) &&
+        previous.version === node.version &&
+        previous.resolved === node.resolved &&
+        (source.type === "git" || previous.integrity === node.integrity) &&
+        getInstalledVersion(node.location) === node.version
+      );
+    };
+    const pending = nodes.filter((node) => !isReusable(node));
+
+    // Packages inside linked folders are already where they belong, so there is nothing to copy
+    for (const node of nodes.filter((node) => isReusable(node) && !isInsideLink(node))) {
+      copyInstalledPackage(node);
+    }
+
+    // Set a dynamic concurrency limit based on the number of packages to extract
+    const concurrencyLimit = Math.max(Math.min(Math.ceil(pending.length / 2), 8), 1); // Limit between 1 and 8
+    const limit = pLimit(concurrencyLimit);
+
+    await Promise.all(
+      pending.map((node) =>
+        limit(() =>
+          extractPackageNode(node).catch((error) => {
+            if (!node.optional) {
+              throw error;
+            }
+
+            warn(`skipping optional dependency ${node.name}@${node.version}: ${error.message}`);
+            removeTreeNode(node);
+          })
+        )
+      )
+    );
+
+    const installed = nodes.filter(isInTree);
+    const missing = installed.filter((node) => {
+      const manifest = readPackageManifest(getPackagePath(node.location));
+      return !manifest || manifest.version !== node.version;
+    });
+
+    if (missing.length) {
+      throw new Error(
+        `These packages did not install correctly:\n  ${missing.map((node) => `${node.name}@${node.version} at ${node.location}`).join("\n  ")}`
+      );
+    }
+
+    // Link in a fixed order, so the same package always wins a bin name collision
+    for (const node of [...links, ...[...installed].sort((a, b) => a.location.localeCompare(b.location))]) {
+      linkPackageBins(node);
+    }
+
+    extracted = pending.filter(isInTree);
+  } catch (error) {
+    fs.rmSync(stagingPath, { recursive: true, force: true });
+    throw error;
+  } finally {
+    stagingDir = null;
+  }
+
+  swapStagedTree(stagingPath);
+  removeStaleLinkedPackages(root);
+
+  if (!isConfigEnabled("ignore-scripts")) {
+    await runInstallScripts(extracted);
+  }
+}
+
+/**
+
+Checks whether a node is still attached to its tree, i.e. neither it nor any of its ancestors has been removed.
+@function isInTree
+@param {object} node - The tree node.
+@returns {boolean}
+*/
+function isInTree(node) {
+  for (let current = node; !current.isRoot; current = current.parent) {
+    if (current.parent.children.get(current.name) !== current) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+
+Removes a package, and everything nested inside it, from the tree and from disk, along with its bins.
+@function removeTreeNode
+@param {object} node - The tree node to remove.
+@returns {void}
+*/
+function removeTreeNode(node) {
+  const packagePath = getPackagePath(node.location);
+
+  unlinkPackageBins(packagePath, getBinDirectory(node));
+  fs.rmSync(packagePath, { recursive: true, force: true });
+  node.parent.children.delete(node.name);
+}
+
+/**
+
+Symlinks a workspace or `link:` folder into its place in toy_node_modules, replacing whatever was there before.
+@function linkPackageFolder
+@param {object} node - The link node. Its resolved field is the folder, relative to the project.
+@returns {void}
+*/
+function linkPackageFolder(node) {
+  const linkPath = getPackagePath(node.location);
+  const target = path.relative(path.dirname(linkPath), path.join(projectDir, node.resolved));
+  const existing = fs.lstatSync(linkPath, { throwIfNoEntry: false });
+
+  if (existing && existing.isSymbolicLink() && fs.readlinkSync(linkPath) === target) {
+    return;
+  }
+
+  fs.rmSync(linkPath, { recursive: true, force: true });
+  fs.mkdirSync(path.dirname(linkPath), { recursive: true });
+  fs.symlinkSync(target, linkPath, "dir");
+}
+
+/**
+
+Gets the executables a package provides, from its `bin` field (string or object form) or, failing that, every file in `directories.bin`.
+@function getPackageBins
+@param {object} manifest - The package.json of the package.
+@param {string} packagePath - The folder the package is installed in.
+@returns {object} - Bin name to the path of the file inside the package.
+*/
+function getPackageBins(manifest, packagePath) {
+  let bins = {};
+
+  if (typeof manifest.bin === "string") {
+    // The string form uses the package name without its scope
+    bins[manifest.name.split("/").pop()] = manifest.bin;
+  } else if (manifest.bin && typeof manifest.bin === "object") {
+    bins = { ...manifest.bin };
+  } else if (manifest.directories && manifest.directories.bin) {
+    const binDir = path.join(packagePath, manifest.directories.bin);
+
+    for (const file of listFiles(binDir)) {
+      bins[path.basename(file)] = path.relative(packagePath, file);
+    }
+  }
+
+  const safeBins = {};
+
+  for (const [name, target] of Object.entries(bins)) {
+    const binName = path.basename(name);
+    const targetPath = path.resolve(packagePath, target);
+
+    // Never link anything outside the package itself
+    if (binName && binName !== ".." && targetPath.startsWith(packagePath + path.sep)) {
+      safeBins[binName] = targetPath;
+    }
+  }
+
+  return safeBins;
+}
+
+/**
+
+Gets the .bin folder a tree node's executables are linked into: toy_node_modules/.bin for hoisted packages,
+and the parent package's node_modules/.bin for nested ones.
+@function getBinDirectory
+@param {object} node - The tree node.
+@returns {string} - The path of the .bin folder.
+*/
+function getBinDirectory(node) {
+  const modulesLocation = node.parent.isRoot ? "toy_node_modules" : `${node.parent.location}/node_modules`;
+  return getPackagePath(`${modulesLocation}/.bin`);
+}
+
+/**
+
+Symlinks a package's executables into its .bin folder and makes them executable.
+A bin name that already links into another installed package is a collision: it is reported and the existing link is kept.
+@function linkPackageBins
+@param {object} node - The tree node of the package.
+@returns {void}
+*/
+function linkPackageBins(node) {
+  const packagePath = getPackagePath(node.location);
+  const manifest = readPackageManifest(packagePath);
+  const binDirectory = getBinDirectory(node);
+
+  for (const [binName, targetPath] of Object.entries(getPackageBins(manifest, packagePath))) {
+    const linkPath = path.join(binDirectory, binName);
+
+    if (!fs.existsSync(targetPath)) {
+      warn(`bin ${binName} of ${node.name}@${node.version} points at a missing file`);
+      continue;
+    }
+
+    // lstat, since a dangling link makes existsSync report false
+    const existing = fs.lstatSync(linkPath, { throwIfNoEntry: false });
+
+    if (existing) {
+      const existingTarget = existing.isSymbolicLink()
+        ? path.resolve(binDirectory, fs.readlinkSync(linkPath))
+        : linkPath;
+      const isOwnLink = existingTarget.startsWith(packagePath + path.sep);
+
+      if (!isOwnLink && fs.existsSync(existingTarget)) {
+        const existingLocation = stagingDir
+          ? path.join("toy_node_modules", path.relative(stagingDir, existingTarget))
+          : path.relative(projectDir, existingTarget);
+
+        warn(`bin ${binName} of ${node.name}@${node.version} conflicts with ${existingLocation}, keeping the existing link`);
+        continue;
+      }
+
+      fs.rmSync(linkPath, { force: true });
+    }
+
+    fs.mkdirSync(binDirectory, { recursive: true });
+    fs.symlinkSync(path.relative(binDirectory, targetPath), linkPath);
+    fs.chmodSync(targetPath, 0o755);
+  }
+}
+
+/**
+
+Removes the links in a .bin folder that point into a package.
+@function unlinkPackageBins
+@param {string} packagePath - The folder the package is installed in.
+@param {string} binDirectory - The .bin folder to clean up.
+@returns {void}
+*/
+function unlinkPackageBins(packagePath, binDirectory) {
+  if (!fs.existsSync(binDirectory)) {
+    return;
+  }
+
+  for (const binName of fs.readdirSync(binDirectory)) {
+    const linkPath = path.join(binDirectory, binName);
+
+    if (!fs.lstatSync(linkPath).isSymbolicLink()) {
+      continue;
+    }
+
+    const targetPath = path.resolve(binDirectory, fs.readlinkSync(linkPath));
+    if (targetPath.startsWith(packagePath + path.sep)) {
+      fs.unlinkSync(linkPath);
+    }
+  }
+}
+
+/**
+
+Runs the preinstall, install and postinstall scripts of freshly extracted packages, one at a time.
+Nested packages go first, so a package's dependencies have usually finished their scripts before it starts its own.
+A failing script of an optional package removes that package instead.
+@async
+@function runInstallScripts
+@param {object[]} nodes - The tree nodes that were extracted.
+@returns {Promise<void>}
+@throws {Error} - If an install script exits with a non-zero code.
+*/
+async function runInstallScripts(nodes) {
+  const ordered = [...nodes].sort((a, b) => b.location.split("/node_modules/").length - a.location.split("/node_modules/").length);
+
+  for (const node of ordered) {
+    if (!isInTree(node)) {
+      continue;
+    }
+
+    const packagePath = path.join(projectDir, node.location);
+    const manifest = readPackageManifest(packagePath);
+
+    for (const event of ["preinstall", "install", "postinstall"]) {
+      const script = manifest.scripts && manifest.scripts[event];
+
+      if (!script) {
+        continue;
+      }
+
+      events.emit("script", { name: node.name, version: node.version, event, script });
+      const exitCode = await spawnScript(script, {
+        cwd: packagePath,
+        env: getScriptEnv(manifest, event, script, [
+          path.join(packagePath, "node_modules", ".bin"),
+          path.join(projectDir, "toy_node_modules", ".bin"),
+        ]),
+      });
+
+      if (exitCode !== 0 && node.optional) {
+        warn(`skipping optional dependency ${node.name}@${node.version}: ${event} script failed with exit code ${exitCode}`);
+        removeTreeNode(node);
+        break;
+      }
+
+      if (exitCode !== 0) {
+        throw createError("ELIFECYCLE", `${event} script of ${node.name}@${node.version} failed with exit code ${exitCode}`);
+      }
+    }
+  }
+}
+
+/**
+
+Resolves the dependency tree for the dependencies in a toy-package.json and writes it to toy_node_modules.
+Missing or conflicting peer dependencies are reported as warnings, or fail the install with `strict-peer-deps`.
+@async
+@function installDependencyTree
+@param {object} toyPackageJson - The toy-package.json contents to install from.
+@param {object} [lockfile] - The lockfile whose versions are preferred. Defaults to the current toy-package-lock.json.
+@param {object[]} [workspaces] - The workspaces to install. Defaults to the ones toy-package.json lists.
+@returns {Promise<object>} - The root node of the installed tree.
+*/
+async function installDependencyTree(
+  toyPackageJson,
+  lockfile = readToyPackageLockJson(),
+  workspaces = getWorkspaces(toyPackageJson)
+) {
+  const root = await buildDependencyTree(
+    { ...toyPackageJson.dependencies, ...toyPackageJson.devDependencies },
+    lockfile,
+    workspaces,
+    toyPackageJson.overrides
+  );
+
+  const peerProblems = getPeerDependencyProblems(root);
+
+  if (peerProblems.length && isConfigEnabled("strict-peer-deps")) {
+    throw createError("ERESOLVE", `Unable to resolve peer dependencies:\n  ${peerProblems.join("\n  ")}`);
+  }
+
+  for (const problem of peerProblems) {
+    warn(`${problem}`);
+  }
+
+  await reifyDependencyTree(root);
+
+  return root;
+}
+
+/**
+
+Reads toy-package.json, if it exists.
+@function readToyPackageJson
+@returns {object|null} - The parsed toy-package.json, or null if it does not exist.
+*/
+function readToyPackageJson() {
+  const toyPackagePath = path.join(projectDir, "toy-package.json");
+
+  if (!fs.existsSync(toyPackagePath)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(toyPackagePath, "utf8"));
+}
+
+/**
+
+Expands one entry of the `workspaces` field into the folders it matches. A `*` matches any folder name within
+one path segment, e.g. packages/*. Only folders that have a toy-package.json count.
+@function expandWorkspacePattern
+@param {string} pattern - The workspace glob or folder, relative to the project.
+@returns {string[]} - The matching folders, relative to the project and with forward slashes.
+*/
+function expandWorkspacePattern(pattern) {
+  let folders = [""];
+
+  for (const segment of pattern.replace(/^\.\//, "").split("/").filter(Boolean)) {
+    if (!segment.includes("*")) {
+      folders = folders.map((folder) => path.posix.join(folder, segment));
+      continue;
+    }
+
+    const matcher = new RegExp(`^${segment.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+
+    folders = folders.flatMap((folder) => {
+      const folderPath = path.join(projectDir, folder);
+
+      if (!fs.existsSync(folderPath)) {
+        return [];
+      }
+
+      return fs
+        .readdirSync(folderPath, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && !entry.name.startsWith(".") && entry.name !== "node_modules" && matcher.test(entry.name))
+        .map((entry) => path.posix.join(folder, entry.name));
+    });
+  }
+
+  return folders.filter((folder) => fs.existsSync(path.join(projectDir, folder, "toy-package.json")));
+}
+
+/**
+
+Lists the workspaces named by the `workspaces` globs of a toy-package.json.
+@function getWorkspaces
+@param {object} toyPackageJson - The root toy-package.json.
+@returns {{name: string, version: string, path: string, manifest: object}[]} - The workspaces, sorted by folder.
+@throws {Error} - If a workspace has no name, or two workspaces share a name.
+*/
+function getWorkspaces(toyPackageJson) {
+  const patterns = (toyPackageJson.workspaces && toyPackageJson.workspaces.packages) || toyPackageJson.workspaces || [];
+  const folders = [...new Set(patterns.flatMap(expandWorkspacePattern))].sort();
+  const workspaces = [];
+
+  for (const folder of folders) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(projectDir, folder, "toy-package.json"), "utf8"));
+
+    if (!manifest.name) {
+      throw createError("EMANIFEST", `Workspace ${folder} has no name in its toy-package.json`);
+    }
+
+    if (workspaces.some((workspace) => workspace.name === manifest.name)) {
+      throw createError("EWORKSPACE", `More than one workspace is named ${manifest.name}`);
+    }
+
+    workspaces.push({ name: manifest.name, version: manifest.version, path: folder, manifest });
+  }
+
+  return workspaces;
+}
+
+/**
+
+Finds a workspace by its name or its folder.
+@function findWorkspace
+@param {string} workspaceName - The name or folder of the workspace, as given to --workspace.
+@returns {{name: string, version: string, path: string, manifest: object}} - The workspace.
+@throws {Error} - If there is no such workspace.
+*/
+function findWorkspace(workspaceName) {
+  const workspace = getWorkspaces(readToyPackageJson() || {}).find(
+    ({ name, path: folder }) => name === workspaceName || folder === workspaceName.replace(/^\.\//, "").replace(/\/+$/, "")
+  );
+
+  if (!workspace) {
+    throw createError("EWORKSPACE", `No workspace named ${workspaceName}`);
+  }
+
+  return workspace;
+}
+
+/**
+
+Uninstalls all packages in toy-package.json
+@async
+@function uninstallAllPackages
+@returns {Promise<string[]>} - The packages that were uninstalled.
+@throws {Error} - If there is no toy-package.json.
+*/
+async function uninstallAllPackages() {
+  const toyPackageJson = readToyPackageJson();
+
+  if (!toyPackageJson) {
+    throw createError("ENOENT", "toy-package.json not found.");
+  }
+
+  const packageNames = [...Object.keys(toyPackageJson.dependencies || {}), ...Object.keys(toyPackageJson.devDependencies || {})];
+
+  return uninstallPackages(packageNames);
+}
+
+/**
+
+Installs packages from the toy-package.json file, along with everything they depend on
+@async
+@function installFromToyPackageJson
+@returns {Promise<{dependencies: object[], packages: object[]}>} - The direct dependencies with the versions installed, and every package in the tree.
+@throws {Error} - If there is no toy-package.json.
+*/
+async function installFromToyPackageJson() {
+  const toyPackageJson = readToyPackageJson();
+
+  if (!toyPackageJson) {
+    throw createError("ENOENT", "toy-package.json not found.");
+  }
+
+  const root = await installDependencyTree(toyPackageJson);
+  writeToyPackageLockJson(root, toyPackageJson);
+
+  const dependencies = [
+    ...Object.keys(toyPackageJson.dependencies || {}).map((name) => ({ name, dev: false })),
+    ...Object.keys(toyPackageJson.devDependencies || {}).map((name) => ({ name, dev: true })),
+  ];
+
+  return {
+    dependencies: dependencies.map(({ name, dev }) => ({ name, version: root.children.get(name).version, dev })),
+    packages: describeTreePackages(root),
+  };
+}
+
+/**
+
+Lists the packages of a tree as plain objects, for the results of the API.
+@function describeTreePackages
+@param {object} root - The root node of the tree.
+@returns {{name: string, version: string, location: string}[]}
+*/
+function describeTreePackages(root) {
+  return listTreeNodes(root).map(({ name, version, location }) => ({ name, version, location }));
+}
+
+/**
+
+Works out the name and spec of what `install` was given. Besides `install <name> [version]`, it accepts `<name>@<spec>`,
+an alias on its own (installed under the real name), and a folder, tarball or repository on its own, which is installed
+under the name in its manifest.
+@async
+@function resolveInstallArgument
+@param {string} argument - The first argument after `install`.
+@param {string} [version] - The second argument, if any.
+@returns {Promise<{name: string, spec: ?string}>}
+*/
+async function resolveInstallArgument(argument, version) {
+  if (version !== undefined) {
+    return { name: argument, spec: version };
+  }
+
+  const source = parseDependencySpec(argument);
+
+  if (source.type === "alias") {
+    return { name: source.name, spec: argument };
+  }
+
+  if (source.type !== "registry") {
+    return { name: (await resolveSourcePackage(source)).name, spec: argument };
+  }
+
+  const separator = argument.indexOf("@", 1);
+
+  return separator === -1
+    ? { name: argument, spec: undefined }
+    : { name: argument.slice(0, separator), spec: argument.slice(separator + 1) };
+}
+
+/**
+
+Install packages with the given names and versions, along with everything they depend on.
+The rest of toy-package.json is resolved in the same tree, so the new packages are hoisted around the existing ones.
+toy-package.json and the lockfile are written once, after the whole tree is installed.
+@async
+@function installPackages
+@param {{name: string, spec: ?string}[]} packages - The names of the packages to install, each with the version, semver range,
+dist-tag or other dependency spec (see parseDependencySpec) to install. Without a spec, the latest version will be installed.
+@param {boolean} [isDevDependency=false] - Whether the packages are devDependencies. Default is false.
+@param {string} [workspaceName] - Add the packages to this workspace's toy-package.json instead of the root one.
+@returns {Promise<{versions: object, root: object}>} - The resolved version that was installed for each package name, and the installed tree.
+*/
+async function installPackages(packages, isDevDependency = false, workspaceName) {
+  const toyPackageJson = readToyPackageJson() || {};
+  const workspaces = getWorkspaces(toyPackageJson);
+  const workspace = workspaceName ? findWorkspace(workspaceName) : null;
+  const manifest = workspace ? workspaces.find(({ name }) => name === workspace.name).manifest : toyPackageJson;
+  const section = isDevDependency ? "devDependencies" : "dependencies";
+  const otherSection = isDevDependency ? "dependencies" : "devDependencies";
+
+  // Resolve the new spec from the section it is saved to, so an older spec in the other section can't win
+  for (const { name, spec } of packages) {
+    manifest[section] = { ...manifest[section], [name]: spec || "latest" };
+
+    if (manifest[otherSection]) {
+      manifest[otherSection] = { ...manifest[otherSection] };
+      delete manifest[otherSection][name];
+    }
+  }
+
+  const root = await installDependencyTree(toyPackageJson, readToyPackageLockJson(), workspaces);
+  const dependent = workspace ? root.children.get(workspace.name) : root;
+  const versions = Object.fromEntries(packages.map(({ name }) => [name, findResolvedNode(dependent, name).version]));
+
+  // Save what the user asked for, rather than the exact version
+  updateToyPackageJson(
+    Object.fromEntries(packages.map(({ name, spec }) => [name, getSaveSpec(spec, versions[name])])),
+    isDevDependency,
+    workspace ? path.join(projectDir, workspace.path, "toy-package.json") : undefined
+  );
+  writeToyPackageLockJson(root, readToyPackageJson());
+
+  return { versions, root };
+}
+
+
+/**
+ * Reads toy-package-lock.json, if it exists.
+ *
+ * @function readToyPackageLockJson
+ * @returns {object|null} - The parsed lockfile, or null if it does not exist.
+ */
+function readToyPackageLockJson() {
+  const lockfilePath = path.join(projectDir, "toy-package-lock.json");
+
+  if (!fs.existsSync(lockfilePath)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(lockfilePath, "utf8"));
+}
+
+/**
+ * Collects the packages recorded in a lockfile, so resolution can prefer them.
+ * Lockfiles in an older format are ignored.
+ *
+ * @function getLockedPackages
+ * @param {object} [lockfile] - The parsed toy-package-lock.json.
+ * @returns {Map<string, {location: string, version: string, resolved: string, integrity: ?string}[]>} - Package name to
+ *   its lockfile entries.
+ */
+function getLockedPackages(lockfile) {
+  const lockedPackages = new Map();
+
+  if (!lockfile || lockfile.lockfileVersion !== LOCKFILE_VERSION) {
+    return lockedPackages;
+  }
+
+  for (const [location, entry] of Object.entries(lockfile.packages)) {
+    if (!isTreeLocation(location) || entry.link) {
+      continue;
+    }
+
+    const name = getNameFromLocation(location);
+    const { version, resolved, integrity } = entry;
+
+    lockedPackages.set(name, [...(lockedPackages.get(name) || []), { location, version, resolved, integrity }]);
+  }
+
+  return lockedPackages;
+}
+
+/**
+ * Checks whether a lockfile key is an install path in the tree, rather than the root ("") or a workspace folder.
+ *
+ * @function isTreeLocation
+ * @param {string} location - The lockfile key.
+ * @returns {boolean}
+ */
+function isTreeLocation(location) {
+  return location.startsWith("toy_node_modules/");
+}
+
+/**
+ * Gets the package name from a tree location, e.g. toy_node_modules/a/node_modules/b is b.
+ *
+ * @function getNameFromLocation
+ * @param {string} location - The install path of the package.
+ * @returns {string} - The package name.
+ */
+function getNameFromLocation(location) {
+  const marker = "node_modules/";
+  return location.slice(location.lastIndexOf(marker) + marker.length);
+}
+
+/**
+ * Writes the whole installed tree to toy-package-lock.json.
+ * Every package is recorded by its install path with its version, resolved tarball URL, SRI integrity and dependency edges.
+ * The root entry ("") records the dependencies from toy-package.json, so `ci` can tell when the two disagree.
+ * Workspaces are recorded as links in the tree, plus an entry keyed by their folder with their own dependencies.
+ *
+ * @function writeToyPackageLockJson
+ * @param {object} root - The root node of the installed tree.
+ * @param {object} toyPackageJson - The toy-package.json the tree was installed from.
+ * @returns {void}
+ */
+function writeToyPackageLockJson(root, toyPackageJson) {
+  const lockfilePath = path.join(projectDir, "toy-package-lock.json");
+  const packages = {
+    "": {
+      name: toyPackageJson.name,
+      version: toyPackageJson.version,
+      dependencies: toyPackageJson.dependencies || {},
+      devDependencies: toyPackageJson.devDependencies || {},
+    },
+  };
+
+  if (toyPackageJson.workspaces) {
+    packages[""].workspaces = toyPackageJson.workspaces;
+  }
+
+  if (toyPackageJson.overrides) {
+    packages[""].overrides = toyPackageJson.overrides;
+  }
+
+  for (const workspace of getWorkspaces(toyPackageJson)) {
+    packages[workspace.path] = {
+      name: workspace.name,
+      version: workspace.version,
+      dependencies: workspace.manifest.dependencies || {},
+      devDependencies: workspace.manifest.devDependencies || {},
+    };
+  }
+
+  const nodes = listTreeNodes(root).sort((a, b) => a.location.localeCompare(b.location));
+
+  for (const node of nodes) {
+    // Workspace links take everything else from the workspace's own entry
+    if (node.isLink && packages[node.resolved]) {
+      packages[node.location] = { resolved: node.resolved, link: true };
+      continue;
+    }
+
+    packages[node.location] = {
+      ...(node.packageName !== node.name && { name: node.packageName }),
+      version: node.version,
+      resolved: node.resolved,
+    };
+
+    // Folders and git checkouts are packed again on every install, so only fixed tarballs keep an integrity
+    if (["registry", "remote", "file"].includes(parseDependencySpec(node.resolved).type)) {
+      packages[node.location].integrity = node.integrity;
+    }
+
+    if (node.isLink) {
+      packages[node.location].link = true;
+    }
+
+    // Keep what ci needs to check peers, platforms and engines without the registry
+    for (const field of ["dependencies", "optionalDependencies", "peerDependencies", "peerDependenciesMeta", "os", "cpu", "libc", "engines"]) {
+      if (node[field] && Object.keys(node[field]).length) {
+        packages[node.location][field] = node[field];
+      }
+    }
+
+    if (node.optional) {
+      packages[node.location].optional = true;
+    }
+    if (node.peer) {
+      packages[node.location].peer = true;
+    }
+  }
+
+  const lockfileData = {
+    name: toyPackageJson.name,
+    version: toyPackageJson.version,
+    lockfileVersion: LOCKFILE_VERSION,
+    packages,
+  };
+
+  writeProjectFile(lockfilePath, JSON.stringify(lockfileData, null, 2));
+}
+
+/**
+ * Rebuilds the dependency tree exactly as a lockfile records it, without asking the registry.
+ *
+ * @function loadTreeFromLockfile
+ * @param {object} lockfile - The parsed toy-package-lock.json.
+ * @returns {object} - The root node of the tree.
+ */
+function loadTreeFromLockfile(lockfile) {
+  const rootEntry = lockfile.packages[""];
+  const root = {
+    name: "toy-package.json",
+    isRoot: true,
+    dependencies: { ...rootEntry.dependencies, ...rootEntry.devDependencies },
+    parent: null,
+    children: new Map(),
+    location: "",
+  };
+  const nodesByLocation = new Map([["", root]]);
+
+  // Shallow locations first, so every parent exists before its children
+  const locations = Object.keys(lockfile.packages)
+    .filter(isTreeLocation)
+    .sort((a, b) => a.split("/node_modules/").length - b.split("/node_modules/").length);
+
+  for (const location of locations) {
+    const name = getNameFromLocation(location);
+    const parentLocation = location.slice(0, -`/node_modules/${name}`.length);
+    const parent = location === `toy_node_modules/${name}` ? root : nodesByLocation.get(parentLocation);
+    let entry = lockfile.packages[location];
+
+    if (!parent) {
+      throw createError("ELOCKFILE", `Lockfile entry ${location} has no parent entry ${parentLocation}`);
+    }
+
+    // A workspace link takes its version and dependencies from the workspace's own entry
+    if (entry.link && lockfile.packages[entry.resolved]) {
+      const workspaceEntry = lockfile.packages[entry.resolved] || {};
+      entry = {
+        ...entry,
+        version: workspaceEntry.version,
+        dependencies: { ...workspaceEntry.dependencies, ...workspaceEntry.devDependencies },
+      };
+
+      if (parent === root) {
+        root.dependencies = { [name]: entry.version, ...root.dependencies };
+      }
+    }
+
+    nodesByLocation.set(location, createPackageNode(parent, name, entry));
+  }
+
+  return root;
+}
+
+/**
+ * Lists the ways a lockfile and toy-package.json disagree.
+ *
+ * @function getLockfileProblems
+ * @param {object} toyPackageJson - The parsed toy-package.json.
+ * @param {object} lockfile - The parsed toy-package-lock.json.
+ * @returns {string[]} - A description of each problem. Empty if they agree.
+ */
+function getLockfileProblems(toyPackageJson, lockfile) {
+  const problems = [];
+  const rootEntry = lockfile.packages[""] || {};
+  const workspaces = getWorkspaces(toyPackageJson);
+  const lockedWorkspaces = Object.values(lockfile.packages)
+    .filter((entry) => entry.link && lockfile.packages[entry.resolved])
+    .map((entry) => entry.resolved);
+
+  for (const workspace of workspaces) {
+    const entry = lockfile.packages[workspace.path];
+
+    if (!entry || !lockedWorkspaces.includes(workspace.path)) {
+      problems.push(`workspace ${workspace.path} is not in the lockfile`);
+      continue;
+    }
+
+    for (const field of ["dependencies", "devDependencies"]) {
+      if (JSON.stringify(workspace.manifest[field] || {}) !== JSON.stringify(entry[field] || {})) {
+        problems.push(`${field} of workspace ${workspace.name} differ from the lockfile`);
+      }
+    }
+  }
+
+  for (const folder of lockedWorkspaces) {
+    if (!workspaces.some((workspace) => workspace.path === folder)) {
+      problems.push(`workspace ${folder} is in the lockfile but not in toy-package.json`);
+    }
+  }
+
+  if (JSON.stringify(toyPackageJson.overrides || {}) !== JSON.stringify(rootEntry.overrides || {})) {
+    problems.push("overrides differ from the lockfile");
+  }
+
+  for (const field of ["dependencies", "devDependencies"]) {
+    const wanted = toyPackageJson[field] || {};
+    const locked = rootEntry[field] || {};
+
+    for (const [packageName, spec] of Object.entries(wanted)) {
+      const entry = lockfile.packages[`toy_node_modules/${packageName}`];
+
+      if (locked[packageName] !== spec) {
+        problems.push(`${field}.${packageName} is ${spec} in toy-package.json but ${locked[packageName] || "missing"} in the lockfile`);
+      } else if (!entry || (validRange(spec) && !satisfies(entry.version, spec))) {
+        problems.push(`${packageName}@${spec} is locked at ${entry ? entry.version : "nothing"}`);
+      }
+    }
+
+    for (const packageName of Object.keys(locked)) {
+      if (!(packageName in wanted)) {
+        problems.push(`${packageName} is in the lockfile ${field} but not in toy-package.json`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Installs exactly what toy-package-lock.json records, replacing toy_node_modules.
+ * Neither toy-package.json nor the lockfile is changed.
+ *
+ * @async
+ * @function ciFromToyPackageLockJson
+ * @returns {Promise<{packages: object[]}>} - Every package that was installed.
+ * @throws {Error} - If there is no up-to-date lockfile, or it disagrees with toy-package.json.
+ */
+async function ciFromToyPackageLockJson() {
+  const toyPackageJson = readToyPackageJson();
+  const lockfile = readToyPackageLockJson();
+
+  if (!toyPackageJson) {
+    throw createError("ENOENT", "toy-package.json not found.");
+  }
+
+  if (!lockfile || lockfile.lockfileVersion !== LOCKFILE_VERSION) {
+    throw createError(
+      "ELOCKFILE",
+      `ci needs a toy-package-lock.json with lockfileVersion ${LOCKFILE_VERSION}. Run install first to create one.`
+    );
+  }
+
+  const problems = getLockfileProblems(toyPackageJson, lockfile);
+
+  if (problems.length) {
+    throw createError(
+      "ELOCKFILE",
+      `toy-package.json and toy-package-lock.json are out of sync. Run install to update the lockfile.\n  ${problems.join("\n  ")}`
+    );
+  }
+
+  const root = loadTreeFromLockfile(lockfile);
+  await reifyDependencyTree(root, { clean: true });
+
+  return { packages: describeTreePackages(root) };
+}
+
+/**
+ * Prints rows as a table with left-aligned, padded columns. The first row is the header.
+ *
+ * @function printTable
+ * @param {string[][]} rows - The rows to print.
+ * @returns {void}
+ */
+function printTable(rows) {
+  const widths = rows[0].map((cell, column) => Math.max(...rows.map((row) => String(row[column]).length)));
+
+  for (const row of rows) {
+    console.log(row.map((cell, column) => String(cell).padEnd(widths[column])).join("  ").trimEnd());
+  }
+}
+
+/**
+ * Lists the dependencies and devDependencies in toy-package.json that have newer releases.
+ * For each one it reports the current version (from the lockfile), the wanted version (the highest matching the saved range)
+ * and the latest version (the latest dist-tag).
+ *
+ * @async
+ * @function getOutdatedPackages
+ * @returns {Promise<object>} - Package name to { current, wanted, latest, type }, only for packages that are behind.
+ */
+async function getOutdatedPackages() {
+  const toyPackageJson = readToyPackageJson();
+
+  if (!toyPackageJson) {
+    throw createError("ENOENT", "toy-package.json not found.");
+  }
+
+  const lockfile = readToyPackageLockJson();
+  const lockedPackages = lockfile && lockfile.lockfileVersion === LOCKFILE_VERSION ? lockfile.packages : {};
+  // Only registry packages (and aliases of them) have newer versions to offer
+  const entries = [
+    ...Object.entries(toyPackageJson.dependencies || {}).map((entry) => [...entry, "dependencies"]),
+    ...Object.entries(toyPackageJson.devDependencies || {}).map((entry) => [...entry, "devDependencies"]),
+  ].filter(([, spec]) => ["registry", "alias"].includes(parseDependencySpec(spec).type));
+
+  const metadataList = await Promise.all(
+    entries.map(([packageName, spec]) => fetchPackageMetadata(parseDependencySpec(spec).name || packageName))
+  );
+  const outdated = {};
+
+  entries.forEach(([packageName, spec, type], index) => {
+    const metadata = metadataList[index];
+    const locked = lockedPackages[`toy_node_modules/${packageName}`];
+    const current = locked ? locked.version : null;
+    const wanted = resolveVersion(metadata, parseDependencySpec(spec).range);
+    const latest = metadata["dist-tags"].latest;
+
+    if (current !== wanted || current !== latest) {
+      outdated[packageName] = { current, wanted, latest, type };
+    }
+  });
+
+  return outdated;
+}
+
+/**
+ * Prints the outdated dependencies as a table.
+ *
+ * @function printOutdatedPackages
+ * @param {object} outdated - What getOutdatedPackages returned.
+ * @returns {void}
+ */
+function printOutdatedPackages(outdated) {
+  if (Object.keys(outdated).length) {
+    printTable([
+      ["Package", "Current", "Wanted", "Latest", "Type"],
+      ...Object.entries(outdated).map(([packageName, { current, wanted, latest, type }]) => [
+        packageName,
+        current || "MISSING",
+        wanted,
+        latest,
+        type,
+      ]),
+    ]);
+  }
+}
+
+/**
+ * Moves installed packages to the highest version their range allows, and rewrites the lockfile.
+ * With `latest`, the ranges in toy-package.json are moved to the latest release first, keeping their ^ or ~ prefix.
+ *
+ * @async
+ * @function updatePackages
+ * @param {string[]} [packageNames=[]] - The packages to update. Everything in the tree is updated if empty.
+ * @param {boolean} [latest=false] - Also change the saved range to the latest release.
+ * @returns {Promise<{name: string, from: ?string, to: string}[]>} - The packages whose installed version changed.
+ * @throws {Error} - If there is no toy-package.json, or a package is not one of its dependencies.
+ */
+async function updatePackages(packageNames = [], latest = false) {
+  const toyPackageJson = readToyPackageJson();
+
+  if (!toyPackageJson) {
+    throw createError("ENOENT", "toy-package.json not found.");
+  }
+
+  const rootDependencies = { ...toyPackageJson.dependencies, ...toyPackageJson.devDependencies };
+  const unknown = packageNames.filter((packageName) => !(packageName in rootDependencies));
+
+  if (unknown.length) {
+    throw createError("EUSAGE", `${unknown.join(", ")} not found in toy-package.json`);
+  }
+
+  const names = packageNames.length ? packageNames : Object.keys(rootDependencies);
+
+  if (latest) {
+    const registryNames = names.filter((packageName) => parseDependencySpec(rootDependencies[packageName]).type === "registry");
+
+    for (const packageName of registryNames) {
+      const metadata = await fetchPackageMetadata(packageName);
+      const latestVersion = metadata["dist-tags"].latest;
+      const field = packageName in (toyPackageJson.dependencies || {}) ? "dependencies" : "devDependencies";
+      const prefix = (/^[\^~]/.exec(toyPackageJson[field][packageName]) || [""])[0];
+      const spec = valid(toyPackageJson[field][packageName]) ? latestVersion : `${prefix || "^"}${latestVersion}`;
+
+      toyPackageJson[field][packageName] = spec;
+    }
+  }
+
+  // Forget the locked versions of the packages being updated, so they resolve to the newest match
+  const previousLockfile = readToyPackageLockJson();
+  let lockfile = null;
+
+  if (packageNames.length && previousLockfile && previousLockfile.lockfileVersion === LOCKFILE_VERSION) {
+    lockfile = { ...previousLockfile, packages: {} };
+
+    for (const [location, entry] of Object.entries(previousLockfile.packages)) {
+      if (!isTreeLocation(location) || !packageNames.includes(getNameFromLocation(location))) {
+        lockfile.packages[location] = entry;
+      }
+    }
+  }
+
+  const root = await installDependencyTree(toyPackageJson, lockfile);
+
+  writeProjectFile(path.join(projectDir, "toy-package.json"), JSON.stringify(toyPackageJson, null, 2));
+  writeToyPackageLockJson(root, toyPackageJson);
+
+  const previousPackages = (previousLockfile && previousLockfile.packages) || {};
+
+  return names
+    .map((packageName) => {
+      const previous = previousPackages[`toy_node_modules/${packageName}`];
+      return { name: packageName, from: previous ? previous.version : null, to: root.children.get(packageName).version };
+    })
+    .filter(({ from, to }) => from !== to);
+}
+
+/**
+ * Loads the advisories for a set of packages, from the local file named by the `advisories` setting or, failing that,
+ * from the registry's bulk advisory endpoint. Both use the same format: package name to a list of advisories, each with
+ * `id`, `title`, `url`, `severity` and `vulnerable_versions`.
+ *
+ * @async
+ * @function fetchAdvisories
+ * @param {object} versionsByName - Package name to the list of installed versions to check.
+ * @returns {Promise<object>} - Package name to its advisories. Packages with none may be missing.
+ * @throws {Error} - If `offline` is set and there is no advisory file, or the registry request fails.
+ */
+async function fetchAdvisories(versionsByName) {
+  const advisoryFile = getConfig().advisories;
+
+  if (advisoryFile) {
+    return JSON.parse(fs.readFileSync(path.resolve(projectDir, advisoryFile), "utf8"));
+  }
+
+  if (isConfigEnabled("offline")) {
+    throw createError("ENOTCACHED", "audit needs an advisories file when --offline is set.");
+  }
+
+  const registry = getConfig().registry;
+  const url = `${registry.endsWith("/") ? registry : `${registry}/`}-/npm/v1/security/advisories/bulk`;
+  const { data } = await sendRequest({ method: "post", url, data: versionsByName, headers: getRequestHeaders(url) });
+
+  return data;
+}
+
+/**
+ * Finds every dependency path from the root to the nodes a test matches, skipping nodes already on the current path
+ * so cycles end.
+ *
+ * @function findDependencyTrails
+ * @param {object} root - The root node of the tree.
+ * @param {Function} isMatch - Called with each node reached; true keeps the paths to it.
+ * @param {Function} [resolveEdge=findResolvedNode] - Called with (node, name, spec) to find the node a dependency resolves to.
+ * @returns {Map<object, object[][]>} - Each matching node, with the list of nodes leading to it from the root.
+ */
+function findDependencyTrails(root, isMatch, resolveEdge = findResolvedNode) {
+  const trailsByNode = new Map();
+
+  const walk = (node, trail) => {
+    for (const [name, spec] of Object.entries(node.dependencies)) {
+      const target = resolveEdge(node, name, spec);
+
+      if (!target || trail.includes(target)) {
+        continue;
+      }
+
+      const nextTrail = [...trail, target];
+
+      if (isMatch(target)) {
+        if (!trailsByNode.has(target)) {
+          trailsByNode.set(target, []);
+        }
+        trailsByNode.get(target).push(nextTrail);
+      }
+
+      walk(target, nextTrail);
+    }
+  };
+
+  walk(root, []);
+  return trailsByNode;
+}
+
+/**
+ * Reads toy-package.json and the lockfile for a command that works on the installed tree.
+ *
+ * @function readInstalledProject
+ * @param {string} command - The command, for the error message.
+ * @returns {{toyPackageJson: object, lockfile: object}}
+ * @throws {Error} - If there is no toy-package.json, or no lockfile in the current format.
+ */
+function readInstalledProject(command) {
+  const toyPackageJson = readToyPackageJson();
+  const lockfile = readToyPackageLockJson();
+
+  if (!toyPackageJson || !lockfile || lockfile.lockfileVersion !== LOCKFILE_VERSION) {
+    throw createError(
+      "ELOCKFILE",
+      `${command} needs a toy-package-lock.json with lockfileVersion ${LOCKFILE_VERSION}. Run install first to create one.`
+    );
+  }
+
+  return { toyPackageJson, lockfile };
+}
+
+/**
+ * Checks whether a tree node was installed from a registry, i.e. its resolved URL has the registry's tarball layout,
+ * `<registry>/<name>/-/<unscoped name>-<version>.tgz`. Aliases count, since they resolve to the real package's tarball.
+ *
+ * @function isRegistryNode
+ * @param {object} node - The tree node.
+ * @returns {boolean}
+ */
+function isRegistryNode(node) {
+  if (node.isLink || parseDependencySpec(node.resolved).type !== "remote") {
+    return false;
+  }
+
+  const unscopedName = node.packageName.split("/").pop();
+  const { pathname } = new URL(node.resolved);
+
+  return decodeURIComponent(pathname).endsWith(`/${node.packageName}/-/${unscopedName}-${node.version}.tgz`);
+}
+
+/**
+ * Checks every registry package in the lockfile against the advisories. Folders, links, git and tarball dependencies are skipped,
+ * and aliases are checked under their real name.
+ *
+ * @async
+ * @function getAuditReport
+ * @returns {Promise<{root: object, vulnerabilities: object[], counts: object}>} - The lockfile tree, one entry per vulnerable
+ *   package (`{node, advisories, paths}`), and the number of vulnerable packages per severity.
+ * @throws {Error} - If there is no lockfile to audit.
+ */
+async function getAuditReport() {
+  const { lockfile } = readInstalledProject("audit");
+  const root = loadTreeFromLockfile(lockfile);
+  const nodes = listTreeNodes(root).filter(isRegistryNode);
+  const versionsByName = {};
+
+  for (const node of nodes) {
+    versionsByName[node.packageName] = [...new Set([...(versionsByName[node.packageName] || []), node.version])];
+  }
+
+  const advisories = nodes.length ? await fetchAdvisories(versionsByName) : {};
+  const matches = new Map();
+
+  for (const node of nodes) {
+    const matching = (advisories[node.packageName] || []).filter((advisory) =>
+      satisfies(node.version, advisory.vulnerable_versions, { includePrerelease: true })
+    );
+
+    if (matching.length) {
+      matches.set(node, matching);
+    }
+  }
+
+  const trails = findDependencyTrails(root, (node) => matches.has(node));
+  const counts = Object.fromEntries(SEVERITY_LEVELS.map((level) => [level, 0]));
+  const vulnerabilities = [...matches].map(([node, matching]) => {
+    counts[getHighestSeverity(matching)]++;
+
+    return { node, advisories: matching, paths: trails.get(node) || [] };
+  });
+
+  return { root, vulnerabilities, counts };
+}
+
+/**
+ * Gets the most severe level out of a list of advisories.
+ *
+ * @function getHighestSeverity
+ * @param {object[]} advisories - The advisories.
+ * @returns {string} - One of SEVERITY_LEVELS.
+ */
+function getHighestSeverity(advisories) {
+  return advisories
+    .map((advisory) => (SEVERITY_LEVELS.includes(advisory.severity) ? advisory.severity : "info"))
+    .reduce((highest, severity) => (SEVERITY_LEVELS.indexOf(severity) > SEVERITY_LEVELS.indexOf(highest) ? severity : highest), "info");
+}
+
+/**
+ * Finds the lowest version of a vulnerable package, above the installed one, that no advisory covers and that every
+ * dependent's range still accepts.
+ *
+ * @async
+ * @function findFixVersion
+ * @param {object} root - The root node of the tree.
+ * @param {object} vulnerability - The entry from getAuditReport.
+ * @returns {Promise<?object>} - The registry manifest of the fixed version, or null if there is none within the ranges.
+ */
+async function findFixVersion(root, { node, advisories }) {
+  const ranges = [root, ...listTreeNodes(root)]
+    .filter((dependent) => dependent.dependencies[node.name] && findResolvedNode(dependent, node.name) === node)
+    .map((dependent) => parseDependencySpec(dependent.dependencies[node.name]).range);
+  const metadata = await fetchPackageMetadata(node.packageName);
+
+  const fixVersion = Object.keys(metadata.versions)
+    .filter((version) => compare(version, node.version) > 0)
+    .filter((version) => ranges.every((range) => satisfies(version, range)))
+    .filter((version) => !advisories.some((advisory) => satisfies(version, advisory.vulnerable_versions, { includePrerelease: true })))
+    .sort(compare)[0];
+
+  return fixVersion ? metadata.versions[fixVersion] : null;
+}
+
+/**
+ * Moves vulnerable packages to the lowest safe version their ranges allow, by pinning that version in the lockfile
+ * and reinstalling. toy-package.json is not changed.
+ *
+ * @async
+ * @function fixVulnerabilities
+ * @param {object} report - The report from getAuditReport.
+ * @returns {Promise<{fixed: object[], unfixable: object[]}>} - The packages that were bumped (`{name, from, to}`), and the
+ *   vulnerabilities with no safe version in range.
+ */
+async function fixVulnerabilities({ root, vulnerabilities }) {
+  const lockfile = readToyPackageLockJson();
+  const pinned = [];
+  const unfixable = [];
+
+  for (const vulnerability of vulnerabilities) {
+    const { node } = vulnerability;
+    const manifest = await findFixVersion(root, vulnerability);
+
+    if (!manifest) {
+      unfixable.push(vulnerability);
+      continue;
+    }
+
+    // The lockfile's version is preferred when the tree is built again, so this is the one that gets installed
+    lockfile.packages[node.location] = {
+      ...(node.packageName !== node.name && { name: node.packageName }),
+      version: manifest.version,
+      resolved: manifest.dist.tarball,
+      integrity: getManifestIntegrity(manifest.dist),
+    };
+    pinned.push({ name: node.name, location: node.location, from: node.version });
+  }
+
+  if (!pinned.length) {
+    return { fixed: [], unfixable };
+  }
+
+  const toyPackageJson = readToyPackageJson();
+  const fixedLocations = new Set(pinned.map(({ location }) => location));
+
+  // Drop whatever was nested under the old versions, since the new ones may depend on something else
+  for (const location of Object.keys(lockfile.packages)) {
+    if ([...fixedLocations].some((fixedLocation) => location.startsWith(`${fixedLocation}/node_modules/`))) {
+      delete lockfile.packages[location];
+    }
+  }
+
+  const fixedRoot = await installDependencyTree(toyPackageJson, lockfile);
+  writeToyPackageLockJson(fixedRoot, toyPackageJson);
+
+  // Report what was actually installed at each location, not just what was pinned there
+  const installed = new Map(listTreeNodes(fixedRoot).map((node) => [node.location, node.version]));
+  const fixed = pinned
+    .filter(({ location, from }) => installed.has(location) && installed.get(location) !== from)
+    .map((entry) => ({ ...entry, to: installed.get(entry.location) }));
+
+  return { fixed, unfixable };
+}
+
+/**
+ * Audits the lockfile and reports what is vulnerable. With `fix`, vulnerable packages are bumped first
+ * and whatever is left is reported. Sets a non-zero exit code when a vulnerability is at or above the audit level.
+ *
+ * @async
+ * @function auditProject
+ * @param {object} [options]
+ * @param {boolean} [options.fix=false] - Bump vulnerable packages to safe versions first.
+ * @param {string} [options.auditLevel="low"] - The lowest severity that fails the audit.
+ * @returns {Promise<object>} - The vulnerable packages with their advisories and dependency paths, the number of them
+ *   per severity, and with `fix`, the packages that were bumped and the ones that could not be.
+ * @throws {Error} - If the audit level is not a known severity.
+ */
+async function auditProject({ fix = false, auditLevel = "low" } = {}) {
+  if (!SEVERITY_LEVELS.includes(auditLevel)) {
+    throw createError("EUSAGE", `Invalid --audit-level ${auditLevel}. Use ${SEVERITY_LEVELS.join(", ")}.`);
+  }
+
+  let report = await getAuditReport();
+  let fixResult = null;
+
+  if (fix && report.vulnerabilities.length) {
+    fixResult = await runInstallTransaction(() => fixVulnerabilities(report));
+    report = await getAuditReport();
+  }
+
+  const toyPackageJson = readToyPackageJson();
+  const describePath = (trail) =>
+    [`${toyPackageJson.name}@${toyPackageJson.version}`, ...trail.map((step) => `${step.name}@${step.version}`)].join(" > ");
+  const vulnerabilities = report.vulnerabilities.map(({ node, advisories, paths }) => ({
+    name: node.name,
+    version: node.version,
+    location: node.location,
+    severity: getHighestSeverity(advisories),
+    advisories: advisories.map(({ id, title, url, severity, vulnerable_versions: range }) => ({ id, title, url, severity, range })),
+    paths: paths.map(describePath),
+  }));
+
+  if (vulnerabilities.some(({ severity }) => SEVERITY_LEVELS.indexOf(severity) >= SEVERITY_LEVELS.indexOf(auditLevel))) {
+    process.exitCode = 1;
+  }
+
+  return {
+    vulnerabilities,
+    counts: report.counts,
+    ...(fixResult && {
+      fixed: fixResult.fixed,
+      unfixable: fixResult.unfixable.map(({ node }) => ({ name: node.name, version: node.version, location: node.location })),
+    }),
+  };
+}
+
+/**
+ * Prints the result of auditProject as text.
+ *
+ * @function printAuditResult
+ * @param {object} result - What auditProject returned.
+ * @param {boolean} [fix=false] - Whether `audit fix` ran, so there is no point suggesting it.
+ * @returns {void}
+ */
+function printAuditResult({ vulnerabilities, counts, fixed = [], unfixable = [] }, fix = false) {
+  const total = vulnerabilities.length;
+
+  for (const { name, from, to } of fixed) {
+    console.log(`Fixed ${name}: ${from} -> ${to}`);
+  }
+
+  for (const { name, version } of unfixable) {
+    console.log(`No fix for ${name}@${version} within the ranges that depend on it`);
+  }
+
+  for (const vulnerability of vulnerabilities) {
+    console.log(`${vulnerability.name}@${vulnerability.version}  ${vulnerability.severity}`);
+
+    for (const advisory of vulnerability.advisories) {
+      console.log(`  ${advisory.severity}: ${advisory.title}${advisory.url ? ` - ${advisory.url}` : ""}`);
+      console.log(`  vulnerable versions: ${advisory.range}`);
+    }
+
+    for (const trail of vulnerability.paths) {
+      console.log(`  path: ${trail}`);
+    }
+    console.log("");
+  }
+
+  const breakdown = SEVERITY_LEVELS.filter((level) => counts[level]).map((level) => `${counts[level]} ${level}`);
+  console.log(`found ${total} ${total === 1 ? "vulnerability" : "vulnerabilities"}${breakdown.length ? ` (${breakdown.join(", ")})` : ""}`);
+
+  if (total && !fix) {
+    console.log("Run `toy-npm audit fix` to bump what can be fixed within the saved ranges.");
+  }
+}
+
+/**
+ * Finds the tree nodes that toy-package.json needs: its dependencies, its workspaces, and everything they depend on.
+ * Peer dependencies resolve from the dependent's parent, where they are installed.
+ *
+ * @function findNeededNodes
+ * @param {object} root - The root node of the tree.
+ * @param {object} toyPackageJson - The root toy-package.json.
+ * @param {object} [options]
+ * @param {boolean} [options.omitDev=false] - Leave out the devDependencies of the root and the workspaces.
+ * @returns {Set<object>}
+ */
+function findNeededNodes(root, toyPackageJson, { omitDev = false } = {}) {
+  const workspaces = getWorkspaces(toyPackageJson);
+  const workspaceManifests = new Map(workspaces.map((workspace) => [workspace.path, workspace.manifest]));
+  const needed = new Set();
+  const queue = [];
+
+  const visit = (from, name) => {
+    const target = findResolvedNode(from, name);
+
+    if (target && !needed.has(target)) {
+      needed.add(target);
+      queue.push(target);
+    }
+  };
+
+  const rootNames = [
+    ...Object.keys(toyPackageJson.dependencies || {}),
+    ...(omitDev ? [] : Object.keys(toyPackageJson.devDependencies || {})),
+    ...workspaces.map((workspace) => workspace.name),
+  ];
+
+  for (const name of rootNames) {
+    visit(root, name);
+  }
+
+  while (queue.length) {
+    const node = queue.shift();
+    // A workspace's own toy-package.json says what it needs, which may have changed since the lockfile was written
+    const workspaceManifest = node.isLink && workspaceManifests.get(node.resolved);
+    const names = workspaceManifest
+      ? [
+        ...Object.keys(workspaceManifest.dependencies || {}),
+        ...(omitDev ? [] : Object.keys(workspaceManifest.devDependencies || {})),
+      ]
+      : Object.keys(node.dependencies);
+
+    for (const name of names) {
+      visit(node, name);
+    }
+
+    for (const name of Object.keys(node.peerDependencies)) {
+      visit(node.parent, name);
+    }
+  }
+
+  return needed;
+}
+
+/**
+ * Removes the installed packages that nothing in toy-package.json needs any more, and drops them from the lockfile.
+ * With `omitDev`, packages only needed by devDependencies are removed from toy_node_modules too, but stay in the lockfile.
+ * Must run inside runInstallTransaction.
+ *
+ * @async
+ * @function pruneProject
+ * @param {object} [options]
+ * @param {boolean} [options.omitDev=false] - Also remove what only the devDependencies need.
+ * @returns {Promise<{removed: {name: string, version: string, location: string}[]}>}
+ * @throws {Error} - If there is no toy-package.json or lockfile.
+ */
+async function pruneProject({ omitDev = false } = {}) {
+  const { toyPackageJson, lockfile } = readInstalledProject("prune");
+  const root = loadTreeFromLockfile(lockfile);
+  const needed = findNeededNodes(root, toyPackageJson);
+  const extraneous = listTreeNodes(root).filter((node) => !needed.has(node));
+
+  for (const node of extraneous) {
+    node.parent.children.delete(node.name);
+  }
+
+  // A copy of the tree without the dev-only packages is what gets installed; the lockfile keeps them
+  const installRoot = omitDev ? loadTreeFromLockfile(lockfile) : root;
+
+  if (omitDev) {
+    const neededInProduction = new Set([...findNeededNodes(installRoot, toyPackageJson, { omitDev })].map((node) => node.location));
+
+    for (const node of listTreeNodes(installRoot)) {
+      if (!neededInProduction.has(node.location)) {
+        node.parent.children.delete(node.name);
+      }
+    }
+  }
+
+  const installed = listInstalledPackages();
+  const keptLocations = new Set(listTreeNodes(installRoot).map((node) => node.location));
+
+  if ([...installed.keys()].every((location) => keptLocations.has(location))) {
+    if (extraneous.length) {
+      writeToyPackageLockJson(root, toyPackageJson);
+    }
+
+    return { removed: [] };
+  }
+
+  await reifyDependencyTree(installRoot);
+  writeToyPackageLockJson(root, toyPackageJson);
+
+  const remaining = listInstalledPackages();
+  const removed = [...installed]
+    .filter(([location]) => !remaining.has(location))
+    .map(([location, version]) => ({ name: getNameFromLocation(location), version, location }));
+
+  return { removed };
+}
+
+/**
+ * Collapses registry packages that are installed at more than one place onto a single version, wherever one version
+ * satisfies every range that depends on them. An installed version is preferred over fetching a new one.
+ * Must run inside runInstallTransaction.
+ *
+ * @async
+ * @function dedupeProject
+ * @returns {Promise<{deduped: {name: string, version: string, from: number, to: number}[]}>} - The packages that were
+ *   deduped, with how many copies were installed before and after.
+ * @throws {Error} - If there is no toy-package.json or lockfile.
+ */
+async function dedupeProject() {
+  const { toyPackageJson, lockfile } = readInstalledProject("dedupe");
+  const root = loadTreeFromLockfile(lockfile);
+  const nodes = listTreeNodes(root);
+  const copiesByName = new Map();
+
+  for (const node of nodes) {
+    if (!node.isLink && node.packageName === node.name && parseDependencySpec(node.resolved).type === "remote") {
+      copiesByName.set(node.name, [...(copiesByName.get(node.name) || []), node]);
+    }
+  }
+
+  const pinned = [];
+
+  for (const [name, copies] of copiesByName) {
+    if (copies.length < 2) {
+      continue;
+    }
+
+    const ranges = [root, ...nodes]
+      .flatMap((node) => [node.dependencies[name], node.peerDependencies && node.peerDependencies[name]])
+      .filter((range) => range !== undefined);
+
+    if (ranges.some((range) => parseDependencySpec(range).type !== "registry" || !validRange(range))) {
+      continue;
+    }
+
+    const satisfiesAll = (version) => ranges.every((range) => satisfies(version, range));
+    const installedVersions = [...new Set(copies.map((node) => node.version))].sort(compare);
+    const installedVersion = installedVersions.filter(satisfiesAll).pop();
+    let entry;
+
+    if (installedVersion) {
+      const { resolved, integrity } = copies.find((node) => node.version === installedVersion);
+      entry = { version: installedVersion, resolved, integrity };
+    } else {
+      const metadata = await fetchPackageMetadata(name);
+      const version = Object.keys(metadata.versions).filter(satisfiesAll).sort(compare).pop();
+
+      if (!version) {
+        continue;
+      }
+
+      const { dist } = metadata.versions[version];
+      entry = { version, resolved: dist.tarball, integrity: getManifestIntegrity(dist) };
+    }
+
+    // Every copy is forgotten, along with what was nested under it, and the one version is locked at the top
+    for (const location of Object.keys(lockfile.packages)) {
+      if (copies.some((node) => location === node.location || location.startsWith(`${node.location}/node_modules/`))) {
+        delete lockfile.packages[location];
+      }
+    }
+
+    lockfile.packages[`toy_node_modules/${name}`] = entry;
+    pinned.push({ name, version: entry.version, from: copies.length });
+  }
+
+  if (!pinned.length) {
+    return { deduped: [] };
+  }
+
+  const dedupedRoot = await installDependencyTree(toyPackageJson, lockfile);
+  writeToyPackageLockJson(dedupedRoot, toyPackageJson);
+
+  const remaining = listTreeNodes(dedupedRoot);
+
+  return {
+    deduped: pinned.map((result) => ({ ...result, to: remaining.filter((node) => node.name === result.name).length })),
+  };
+}
+
+/**
+ * Finds every package folder on disk under a node_modules folder, including scoped and nested packages.
+ *
+ * @function listInstalledPackages
+ * @param {string} [modulesLocation="toy_node_modules"] - The node_modules folder to scan, relative to the project.
+ * @returns {Map<string, string>} - Install path to the version found in its package.json.
+ */
+function listInstalledPackages(modulesLocation = "toy_node_modules") {
+  const installed = new Map();
+  const modulesPath = path.join(projectDir, modulesLocation);
+
+  if (!fs.existsSync(modulesPath)) {
+    return installed;
+  }
+
+  for (const entry of fs.readdirSync(modulesPath)) {
+    if (entry.startsWith(".")) {
+      continue;
+    }
+
+    const names = entry.startsWith("@")
+      ? fs.readdirSync(path.join(modulesPath, entry)).map((scoped) => `${entry}/${scoped}`)
+      : [entry];
+
+    for (const name of names) {
+      const location = `${modulesLocation}/${name}`;
+      const version = getInstalledVersion(location);
+
+      if (version) {
+        installed.set(location, version);
+      }
+
+      for (const [nestedLocation, nestedVersion] of listInstalledPackages(`${location}/node_modules`)) {
+        installed.set(nestedLocation, nestedVersion);
+      }
+    }
+  }
+
+  return installed;
+}
+
+/**
+ * Loads the installed tree from the lockfile, along with what is actually on disk.
+ * The root's edges come from toy-package.json, so dependencies that were added but never installed show up as missing.
+ *
+ * @function loadInstalledTree
+ * @returns {{toyPackageJson: object, root: object, installed: Map<string, string>}}
+ * @throws {Error} - If toy-package.json or an up-to-date lockfile is missing.
+ */
+function loadInstalledTree() {
+  const toyPackageJson = readToyPackageJson();
+  const lockfile = readToyPackageLockJson();
+
+  if (!toyPackageJson) {
+    throw createError("ENOENT", "toy-package.json not found.");
+  }
+
+  if (!lockfile || lockfile.lockfileVersion !== LOCKFILE_VERSION) {
+    throw createError("ELOCKFILE", "toy-package-lock.json not found or out of date. Run install first.");
+  }
+
+  const root = loadTreeFromLockfile(lockfile);
+  root.dependencies = {
+    ...Object.fromEntries(getWorkspaces(toyPackageJson).map((workspace) => [workspace.name, workspace.version])),
+    ...toyPackageJson.dependencies,
+    ...toyPackageJson.devDependencies,
+  };
+
+  return { toyPackageJson, root, installed: listInstalledPackages() };
+}
+
+/**
+ * Works out what a dependency edge resolves to, and whether that is a problem.
+ *
+ * @function getEdgeStatus
+ * @param {object} node - The tree node that has the dependency.
+ * @param {string} name - The name of the dependency.
+ * @param {string} spec - The range the node asks for.
+ * @param {Map<string, string>} installed - The packages on disk, from listInstalledPackages.
+ * @returns {{target: ?object, version: ?string, status: string}} - The status is ok, missing, invalid, or skipped for an
+ *   optional or unsupported package that isn't installed.
+ */
+function getEdgeStatus(node, name, spec, installed) {
+  const target = findResolvedNode(node, name);
+  const version = target ? installed.get(target.location) || null : null;
+
+  if (!version) {
+    const skipped = name in (node.optionalDependencies || {}) || (target && getPlatformProblem(target));
+    return { target, version, status: skipped ? "skipped" : "missing" };
+  }
+
+  if (version !== target.version || (validRange(spec) && !satisfies(version, spec))) {
+    return { target, version, status: "invalid" };
+  }
+
+  return { target, version, status: "ok" };
+}
+
+/**
+ * Describes the installed dependency tree, flagging packages that are missing, have the wrong version, or that
+ * nothing needs (extraneous). Each package's children are described only the first time it appears; later
+ * appearances are marked as deduped. Sets a non-zero exit code when there are problems.
+ *
+ * @function getDependencyTree
+ * @param {object} [options]
+ * @param {number} [options.depth=0] - How many levels below the top-level dependencies to describe.
+ * @returns {object} - The project's name and version, its dependencies as a nested name to entry map, and the problems found.
+ */
+function getDependencyTree({ depth = 0 } = {}) {
+  const { toyPackageJson, root, installed } = loadInstalledTree();
+  const lockedLocations = new Set(listTreeNodes(root).map((node) => node.location));
+  const printed = new Set();
+  const problems = [];
+
+  const describe = (node, level) => {
+    const dependencies = {};
+
+    for (const [name, spec] of Object.entries(node.dependencies)) {
+      const { target, version, status } = getEdgeStatus(node, name, spec, installed);
+      const entry = { version: version || (target && target.version) || undefined };
+
+      if (status === "skipped") {
+        entry.skipped = true;
+        entry.required = spec;
+      } else if (status === "missing") {
+        entry.missing = true;
+        entry.required = spec;
+        problems.push(`missing: ${name}@${spec}, required by ${node.isRoot ? toyPackageJson.name : `${node.name}@${node.version}`}`);
+      } else if (status === "invalid") {
+        entry.invalid = true;
+        entry.required = spec;
+        problems.push(`invalid: ${name}@${version} ${target.location}, wanted ${spec}`);
+      }
+
+      if (target && version) {
+        entry.resolved = target.resolved;
+
+        if (target.isLink) {
+          entry.link = true;
+        }
+
+        if (printed.has(target)) {
+          entry.deduped = true;
+        } else {
+          printed.add(target);
+          if (level < depth) {
+            entry.dependencies = describe(target, level + 1);
+          }
+        }
+      }
+
+      dependencies[name] = entry;
+    }
+
+    return dependencies;
+  };
+
+  const tree = {
+    name: toyPackageJson.name,
+    version: toyPackageJson.version,
+    dependencies: describe(root, 0),
+  };
+
+  for (const [location, version] of installed) {
+    if (!lockedLocations.has(location)) {
+      const name = getNameFromLocation(location);
+      problems.push(`extraneous: ${name}@${version} ${location}`);
+
+      if (location === `toy_node_modules/${name}`) {
+        tree.dependencies[name] = { version, extraneous: true };
+      }
+    }
+  }
+
+  if (problems.length) {
+    tree.problems = problems;
+    process.exitCode = 1;
+  }
+
+  return tree;
+}
+
+/**
+ * Prints what getDependencyTree describes as a tree, followed by the problems other than extraneous packages,
+ * which are already marked in the tree.
+ *
+ * @function printDependencyTree
+ * @param {object} tree - What getDependencyTree returned.
+ * @returns {void}
+ */
+function printDependencyTree(tree) {
+  console.log(`${tree.name}@${tree.version} ${projectDir}`);
+
+  const printLevel = (dependencies, prefix) => {
+    const entries = Object.entries(dependencies);
+
+    entries.forEach(([name, entry], index) => {
+      const isLast = index === entries.length - 1;
+      let label = `${name}@${entry.version}`;
+
+      if (entry.missing) label = `UNMET DEPENDENCY ${name}@${entry.required}`;
+      if (entry.skipped) label = `UNMET OPTIONAL DEPENDENCY ${name}@${entry.required}`;
+
+      if (entry.link) label += ` -> ${entry.resolved.startsWith(".") ? "" : "./"}${entry.resolved}`;
+      if (entry.invalid) label += ` invalid: wanted ${entry.required}`;
+      if (entry.extraneous) label += " extraneous";
+      if (entry.deduped) label += " deduped";
+
+      console.log(`${prefix}${isLast ? "└── " : "├── "}${label}`);
+
+      if (entry.dependencies) {
+        printLevel(entry.dependencies, `${prefix}${isLast ? "    " : "│   "}`);
+      }
+    });
+  };
+
+  printLevel(tree.dependencies, "");
+
+  for (const problem of (tree.problems || []).filter((text) => !text.startsWith("extraneous"))) {
+    console.error(`Problem: ${problem}`);
+  }
+}
+
+/**
+ * Finds every dependency path from toy-package.json to the installed copies of a package.
+ * Sets a non-zero exit code when the package is not installed.
+ *
+ * @function explainPackage
+ * @param {string} packageName - The name of the package to explain.
+ * @returns {{name: string, packages: {name: string, version: string, location: string, paths: {path: string, dev: boolean}[]}[]}}
+ */
+function explainPackage(packageName) {
+  const { toyPackageJson, root, installed } = loadInstalledTree();
+  const pathsByNode = findDependencyTrails(
+    root,
+    (node) => node.name === packageName,
+    (node, name, spec) => getEdgeStatus(node, name, spec, installed).target
+  );
+
+  if (!pathsByNode.size) {
+    process.exitCode = 1;
+  }
+
+  const devDependencies = toyPackageJson.devDependencies || {};
+  const packages = [...pathsByNode].map(([node, trails]) => ({
+    name: node.name,
+    version: node.version,
+    location: node.location,
+    paths: trails.map((trail) => ({
+      path: [`${toyPackageJson.name}@${toyPackageJson.version}`, ...trail.map((step) => `${step.name}@${step.version}`)].join(" > "),
+      dev: trail[0].name in devDependencies,
+    })),
+  }));
+
+  return { name: packageName, packages };
+}
+
+/**
+ * Prints what explainPackage found.
+ *
+ * @function printExplanation
+ * @param {object} explanation - What explainPackage returned.
+ * @returns {void}
+ */
+function printExplanation({ name, packages }) {
+  if (!packages.length) {
+    console.log(`${name} is not in the installed tree.`);
+  }
+
+  for (const { name: packageName, version, location, paths } of packages) {
+    console.log(`${packageName}@${version} ${location}`);
+
+    for (const { path: trail, dev } of paths) {
+      console.log(`  ${trail}${dev ? " (dev)" : ""}`);
+    }
+  }
+}
+
+/**
+
+Uninstalls packages from toy-package.json, then reinstalls the tree, which removes them from toy_node_modules and
+toy-package-lock.json along with everything only they needed.
+@async
+@function uninstallPackages
+@param {string[]} packageNames - The names of the packages to uninstall, e.g. lodash or @babel/core.
+@returns {Promise<string[]>} - The packages that were dependencies, and so were uninstalled.
+*/
+async function uninstallPackages(packageNames) {
+  const toyPackageJson = readToyPackageJson();
+
+  if (!toyPackageJson) {
+    return [];
+  }
+
+  const { dependencies = {}, devDependencies = {} } = toyPackageJson;
+  const removed = packageNames.filter((packageName) => packageName in dependencies || packageName in devDependencies);
+
+  if (!removed.length) {
+    return removed;
+  }
+
+  for (const packageName of removed) {
+    removeFromToyPackageJson(packageName);
+  }
+
+  const updatedToyPackageJson = readToyPackageJson();
+  const root = await installDependencyTree(updatedToyPackageJson);
+
+  writeToyPackageLockJson(root, updatedToyPackageJson);
+  return removed;
+}
+
+/**
+ * Removes a dependency from a workspace's toy-package.json, then reinstalls the tree, which leaves out anything only
+ * that workspace needed.
+ * @async
+ * @function uninstallWorkspacePackage
+ * @param {string} packageName - The name of the package to uninstall.
+ * @param {string} workspaceName - The name or folder of the workspace.
+ * @returns {Promise<boolean>} - Whether the workspace depended on the package.
+ */
+async function uninstallWorkspacePackage(packageName, workspaceName) {
+  const workspace = findWorkspace(workspaceName);
+  const { dependencies = {}, devDependencies = {} } = workspace.manifest;
+
+  if (!(packageName in dependencies) && !(packageName in devDependencies)) {
+    return false;
+  }
+
+  removeFromToyPackageJson(packageName, path.join(projectDir, workspace.path, "toy-package.json"));
+
+  const toyPackageJson = readToyPackageJson();
+  const root = await installDependencyTree(toyPackageJson);
+
+  writeToyPackageLockJson(root, toyPackageJson);
+  return true;
+}
+
+/**
+
+Updates toy-package.json with the given packages, versions, and devDependency flag.
+The packages are removed from the other section, so a package is never both a dependency and a devDependency.
+@function updateToyPackageJson
+@param {object} packages - The names of the packages to add or update in toy-package.json, each with its version or range
+@param {boolean} [isDevDependency=false] - Flag indicating whether the packages are devDependencies (defaults to false)
+@param {string} [toyPackagePath] - The toy-package.json to update, e.g. a workspace's. Defaults to the root one.
+@returns {void}
+*/
+function updateToyPackageJson(packages, isDevDependency = false, toyPackagePath = path.join(projectDir, "toy-package.json")) {
+  let toyPackageJson = {
+    name: "toy-npm",
+    version: "1.0.0",
+    description: "",
+    main: "index.js",
+    dependencies: {},
+    devDependencies: {},
+  };
+
+  if (fs.existsSync(toyPackagePath)) {
+    toyPackageJson = JSON.parse(fs.readFileSync(toyPackagePath, "utf8"));
+  }
+
+  const section = isDevDependency ? "devDependencies" : "dependencies";
+  const otherSection = isDevDependency ? "dependencies" : "devDependencies";
+
+  toyPackageJson[section] = { ...toyPackageJson[section], ...packages };
+
+  for (const name of Object.keys(packages)) {
+    delete (toyPackageJson[otherSection] || {})[name];
+  }
+
+  writeProjectFile(toyPackagePath, JSON.stringify(toyPackageJson, null, 2));
+}
+
+/**
+ * Remove the specified package from toy-package.json.
+ * @param {string} packageName - The name of the package to remove.
+ * @param {string} [toyPackagePath] - The toy-package.json to update, e.g. a workspace's. Defaults to the root one.
+ */
+function removeFromToyPackageJson(packageName, toyPackagePath = path.join(projectDir, "toy-package.json")) {
+  if (!fs.existsSync(toyPackagePath)) {
+    return;
+  }
+
+  const toyPackageJson = JSON.parse(fs.readFileSync(toyPackagePath, "utf8"));
+
+  delete (toyPackageJson.dependencies || {})[packageName];
+  delete (toyPackageJson.devDependencies || {})[packageName];
+
+  writeProjectFile(toyPackagePath, JSON.stringify(toyPackageJson, null, 2));
+}
+
+/**
+ * Converts a .npmignore / `files` style glob into a regular expression over forward-slash relative paths.
+ * A pattern without a slash matches at any depth, a leading slash anchors it to the project root, a trailing slash
+ * only matches directories, and a pattern that matches a directory also matches everything inside it.
+ * @function globToRegExp
+ * @param {string} pattern - The glob, without any leading `!`.
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const directoryOnly = pattern.endsWith("/");
+  let glob = pattern.replace(/\/+$/, "");
+  const anchored = glob.includes("/");
+  glob = glob.replace(/^\//, "");
+
+  let body = "";
+
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+
+    if (glob.startsWith("**/", index)) {
+      body += "(?:.*/)?";
+      index += 2;
+    } else if (glob.startsWith("**", index)) {
+      body += ".*";
+      index += 1;
+    } else if (char === "*") {
+      body += "[^/]*";
+    } else if (char === "?") {
+      body += "[^/]";
+    } else {
+      body += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${anchored ? "" : "(?:.*/)?"}${body}${directoryOnly ? "/.*" : "(?:/.*)?"}$`);
+}
+
+/**
+ * Lists the files `pack` puts in the tarball, relative to the project and with forward slashes.
+ * With a `files` field only the files it names are included; otherwise everything is, minus the rules in .npmignore
+ * (or .gitignore when there is no .npmignore). The default ignore rules always apply, and toy-package.json, the README,
+ * the license and the `main` file are always included.
+ * @function getPackFiles
+ * @param {object} toyPackageJson - The parsed toy-package.json.
+ * @param {string} [sourcePath=projectDir] - The folder to pack.
+ * @returns {string[]} - The files to pack, sorted.
+ */
+function getPackFiles(toyPackageJson, sourcePath = projectDir) {
+  const defaultIgnores = [
+    ".git", ".hg", ".svn", "CVS", "node_modules", "toy_node_modules", ".npmrc", ".toyrc", ".npmignore", ".gitignore", ".DS_Store",
+    STAGING_FOLDER, PREVIOUS_FOLDER, LOCK_FILE, "._*", ".*.swp", "npm-debug.log", "package-lock.json", "toy-package-lock.json", "/*.tgz",
+  ].map(globToRegExp);
+
+  const ignoreFile = [".npmignore", ".gitignore"].map((file) => path.join(sourcePath, file)).find(fs.existsSync);
+  const ignoreRules = ignoreFile
+    ? fs
+        .readFileSync(ignoreFile, "utf8")
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line && !line.startsWith("#"))
+        .map((line) => ({ negate: line.startsWith("!"), pattern: globToRegExp(line.replace(/^!/, "")) }))
+    : [];
+
+  const alwaysIncluded = (file) =>
+    file === "toy-package.json" ||
+    file === "package.json" ||
+    /^(readme|license|licence)(\.[^/]*)?$/i.test(file) ||
+    (toyPackageJson.main && file === path.posix.normalize(toyPackageJson.main));
+
+  const includePatterns = Array.isArray(toyPackageJson.files) ? toyPackageJson.files.map(globToRegExp) : null;
+
+  return listFiles(sourcePath)
+    .map((file) => path.relative(sourcePath, file).split(path.sep).join("/"))
+    .filter((file) => {
+      if (defaultIgnores.some((pattern) => pattern.test(file))) {
+        return false;
+      }
+
+      if (alwaysIncluded(file)) {
+        return true;
+      }
+
+      if (includePatterns) {
+        return includePatterns.some((pattern) => pattern.test(file));
+      }
+
+      // Later rules win, so a `!pattern` can bring back something an earlier rule ignored
+      return ignoreRules.reduce((ignored, rule) => (rule.pattern.test(file) ? !rule.negate : ignored), false) === false;
+    })
+    .sort();
+}
+
+/**
+ * Builds `<name>-<version>.tgz` from the project, or from another folder such as a `file:` dependency. Files go under
+ * a `package/` folder, with toy-package.json stored as `package/package.json` so the tarball installs like any registry package.
+ * @async
+ * @function packProject
+ * @param {string} [destination=projectDir] - The folder to write the tarball to.
+ * @param {string} [sourcePath=projectDir] - The folder to pack. Other folders may use a package.json instead of a toy-package.json.
+ * @returns {Promise<{manifest: object, filename: string, tarballPath: string, files: string[], size: number, shasum: string, integrity: string}>}
+ * @throws {Error} - If toy-package.json is missing or has no name or version.
+ */
+async function packProject(destination = projectDir, sourcePath = projectDir) {
+  const toyPackageJson = sourcePath === projectDir ? readToyPackageJson() : readPackageManifest(sourcePath);
+
+  if (!toyPackageJson || !toyPackageJson.name || !toyPackageJson.version) {
+    throw createError("EMANIFEST", "pack needs a toy-package.json with a name and a version.");
+  }
+
+  const files = getPackFiles(toyPackageJson, sourcePath);
+  const filename = `${toyPackageJson.name.replace(/^@/, "").replace("/", "-")}-${toyPackageJson.version}.tgz`;
+  const tarballPath = path.join(destination, filename);
+  const stagingPath = fs.mkdtempSync(path.join(os.tmpdir(), "toy-pack-"));
+
+  try {
+    for (const file of files) {
+      const target = path.join(stagingPath, "package", file === "toy-package.json" ? "package.json" : file);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(path.join(sourcePath, file), target);
+    }
+
+    // A fixed mtime keeps the tarball, and so its integrity, the same for the same contents
+    await tar.c(
+      { gzip: true, file: tarballPath, cwd: stagingPath, portable: true, mtime: new Date("1985-10-26T08:15:00Z") },
+      ["package"]
+    );
+  } finally {
+    fs.rmSync(stagingPath, { recursive: true, force: true });
+  }
+
+  const contents = fs.readFileSync(tarballPath);
+
+  return {
+    manifest: toyPackageJson,
+    filename,
+    tarballPath,
+    files: files.map((file) => (file === "toy-package.json" ? "package.json" : file)).sort(),
+    size: contents.length,
+    shasum: crypto.createHash("sha1").update(contents).digest("hex"),
+    integrity: `sha512-${crypto.createHash("sha512").update(contents).digest("base64")}`,
+  };
+}
+
+/**
+ * Prints what `pack` built: the tarball's contents and integrity.
+ * @function printPackResult
+ * @param {object} result - The name and version of the package, and the filename, files, size, shasum and integrity of the tarball.
+ * @returns {void}
+ */
+function printPackResult({ name, version, filename, files, size, shasum, integrity }) {
+  console.log(`package: ${name}@${version}`);
+  console.log("Tarball Contents");
+  for (const file of files) {
+    console.log(`  ${file}`);
+  }
+  console.log("Tarball Details");
+  console.log(`  filename:      ${filename}`);
+  console.log(`  package size:  ${size} B`);
+  console.log(`  shasum:        ${shasum}`);
+  console.log(`  integrity:     ${integrity}`);
+  console.log(`  total files:   ${files.length}`);
+}
+
+/**
+ * Prints what publishProject published.
+ * @function printPublishResult
+ * @param {object} result - What publishProject returned.
+ * @returns {void}
+ */
+function printPublishResult({ name, version, filename, integrity, registry, tag }) {
+  console.log(`Published ${name}@${version} (${filename}, ${integrity}) to ${registry} with tag ${tag}`);
+}
+
+/**
+ * Packs the project and uploads it to its configured registry.
+ * The request body is the packument npm's publish protocol expects: the new version's manifest with its dist
+ * (tarball URL, shasum and integrity), the dist-tag to move, and the tarball itself as a base64 attachment.
+ * @async
+ * @function publishProject
+ * @param {string} [tag="latest"] - The dist-tag to point at the published version.
+ * @returns {Promise<{name: string, version: string, filename: string, integrity: string, registry: string, tag: string}>}
+ */
+async function publishProject(tag = "latest") {
+  const stagingPath = fs.mkdtempSync(path.join(os.tmpdir(), "toy-publish-"));
+
+  try {
+    const { manifest, filename, tarballPath, shasum, integrity, size } = await packProject(stagingPath);
+    const { name, version } = manifest;
+    const registry = getRegistryForPackage(name);
+    const packageUrl = `${registry}${name.replace("/", "%2f")}`;
+    const tarballName = `${name.split("/").pop()}-${version}.tgz`;
+
+    const versionManifest = {
+      ...manifest,
+      _id: `${name}@${version}`,
+      dist: { integrity, shasum, tarball: `${registry}${name}/-/${tarballName}` },
+    };
+
+    const packument = {
+      _id: name,
+      name,
+      description: manifest.description,
+      "dist-tags": { [tag]: version },
+      versions: { [version]: versionManifest },
+      _attachments: {
+        [tarballName]: {
+          content_type: "application/octet-stream",
+          data: fs.readFileSync(tarballPath).toString("base64"),
+          length: size,
+        },
+      },
+    };
+
+    // Not retried: a publish that timed out may still have gone through
+    await sendRequest({ method: "put", url: packageUrl, data: packument, headers: getRequestHeaders(packageUrl) }, { retries: 0 });
+    return { name, version, filename, integrity, registry, tag };
+  } finally {
+    fs.rmSync(stagingPath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Quotes an argument so it reaches a script through the shell unchanged.
+ * @function quoteShellArg
+ * @param {string} arg - The argument to quote.
+ * @returns {string} - The quoted argument.
+ */
+function quoteShellArg(arg) {
+  if (/^[\w@%+=:,./-]+$/.test(arg)) {
+    return arg;
+  }
+
+  if (process.platform === "win32") {
+    return `"${arg.replace(/"/g, '\\"')}"`;
+  }
+
+  return `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Builds the environment for a script: the current environment, the given .bin folders at the front of PATH,
+ * and npm-style variables describing the package (npm_package_name, npm_package_version, npm_package_config_*, ...).
+ * @function getScriptEnv
+ * @param {object} manifest - The package.json (or toy-package.json) of the package that owns the script.
+ * @param {string} event - The name of the script being run, e.g. test or postinstall.
+ * @param {string} script - The script command.
+ * @param {string[]} binPaths - The .bin folders to put on PATH, most specific first.
+ * @returns {object} - The environment variables.
+ */
+function getScriptEnv(manifest, event, script, binPaths) {
+  const pathKey = Object.keys(process.env).find((key) => key.toUpperCase() === "PATH") || "PATH";
+  const env = {
+    ...process.env,
+    [pathKey]: [...binPaths, process.env[pathKey]].filter(Boolean).join(path.delimiter),
+    npm_lifecycle_event: event,
+    npm_lifecycle_script: script,
+    npm_node_execpath: process.execPath,
+    npm_execpath: __filename,
+  };
+
+  const addPackageVars = (prefix, value) => {
+    if (value === null || value === undefined) {
+      return;
+    }
+
+    if (typeof value === "object") {
+      for (const [key, nested] of Object.entries(value)) {
+        addPackageVars(`${prefix}_${key.replace(/[^a-zA-Z0-9_]/g, "_")}`, nested);
+      }
+      return;
+    }
+
+    env[prefix] = String(value);
+  };
+
+  for (const [key, value] of Object.entries(manifest)) {
+    // Dependency lists are left out, they are long and nobody reads them from scripts
+    if (!/dependencies$/i.test(key)) {
+      addPackageVars(`npm_package_${key.replace(/[^a-zA-Z0-9_]/g, "_")}`, value);
+    }
+  }
+
+  return env;
+}
+
+/**
+ * Runs a command through the shell, with its output going straight to the terminal (see scriptStdio).
+ * @function spawnScript
+ * @param {string} command - The command to run.
+ * @param {object} options
+ * @param {string} options.cwd - The directory to run the command in.
+ * @param {object} options.env - The environment variables.
+ * @returns {Promise<number>} - The exit code of the command. A command killed by a signal counts as 1.
+ */
+function spawnScript(command, { cwd, env }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, { cwd, env, shell: true, stdio: scriptStdio });
+
+    child.on("error", reject);
+    child.on("close", (code) => resolve(code === null ? 1 : code));
+  });
+}
+
+/**
+ * Runs a script from toy-package.json, with its pre and post hooks.
+ * The hooks only run if the script before them succeeded, and the extra arguments are only passed to the script itself.
+ * @async
+ * @function runScript
+ * @param {string} [scriptName] - The name of the script. Without it, the available scripts are listed.
+ * @param {string[]} [args=[]] - Extra arguments to append to the script.
+ * @param {string} [workspaceName] - Run the script from this workspace's toy-package.json, in its folder.
+ * @returns {Promise<{script: string, exitCode: number}|{scripts: object}>} - The script and the exit code of the first
+ *   step that failed, or 0. Without a script name, the available scripts instead.
+ * @throws {Error} - If there is no toy-package.json, or it has no such script.
+ */
+async function runScript(scriptName, args = [], workspaceName) {
+  const workspace = workspaceName ? findWorkspace(workspaceName) : null;
+  const toyPackageJson = workspace ? workspace.manifest : readToyPackageJson();
+  const scriptPath = workspace ? path.join(projectDir, workspace.path) : projectDir;
+
+  if (!toyPackageJson) {
+    throw createError("ENOENT", "toy-package.json not found.");
+  }
+
+  const scripts = toyPackageJson.scripts || {};
+
+  if (!scriptName) {
+    return { scripts };
+  }
+
+  if (!scripts[scriptName]) {
+    throw createError("EUSAGE", `Missing script: "${scriptName}"`);
+  }
+
+  const steps = [
+    [`pre${scriptName}`, scripts[`pre${scriptName}`]],
+    [scriptName, [scripts[scriptName], ...args.map(quoteShellArg)].join(" ")],
+    [`post${scriptName}`, scripts[`post${scriptName}`]],
+  ];
+
+  for (const [event, script] of steps) {
+    if (!script) {
+      continue;
+    }
+
+    events.emit("run", { name: toyPackageJson.name, version: toyPackageJson.version, event, script });
+    const exitCode = await spawnScript(script, {
+      cwd: scriptPath,
+      env: getScriptEnv(toyPackageJson, event, script, [
+        ...(workspace ? [path.join(scriptPath, "node_modules", ".bin")] : []),
+        path.join(projectDir, "toy_node_modules", ".bin"),
+      ]),
+    });
+
+    if (exitCode !== 0) {
+      return { script: scriptName, exitCode };
+    }
+  }
+
+  return { script: scriptName, exitCode: 0 };
+}
+
+/**
+ * Prints the available scripts when runScript listed them. A script that ran has already printed its own output.
+ * @function printRunResult
+ * @param {object} result - What runScript returned.
+ * @returns {void}
+ */
+function printRunResult({ scripts }) {
+  for (const [name, script] of Object.entries(scripts || {})) {
+    console.log(`  ${name}\n    ${script}`);
+  }
+}
+
+/**
+ * Lists every file under a directory, recursively.
+ * @function listFiles
+ * @param {string} directory - The directory to list.
+ * @returns {string[]} - The file paths. Empty if the directory does not exist.
+ */
+function listFiles(directory) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(directory, entry.name);
+    return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+  });
+}
+
+/**
+ * Manages the global cache directory.
+ * `ls` lists the cached package metadata and tarballs, `verify` re-hashes every tarball and drops corrupted or
+ * half-written entries, and `clean` deletes the whole cache.
+ * @async
+ * @function manageCache
+ * @param {string} subcommand - One of ls, verify or clean.
+ * @returns {Promise<object>} - For `ls`, the cached packuments (`{name, fetchedAt}`) and the number and total size of the
+ *   cached tarballs; for `verify`, how many entries were verified and removed; for `clean`, the removed cache folder.
+ * @throws {Error} - If the subcommand is not one of those.
+ */
+async function manageCache(subcommand) {
+  const cacheDir = getConfig().cache;
+  const contentDir = path.join(cacheDir, "content");
+  const packumentsDir = path.join(cacheDir, "packuments");
+
+  switch (subcommand) {
+    case "ls": {
+      const packuments = listFiles(packumentsDir)
+        .sort()
+        .map((file) => {
+          const entry = JSON.parse(fs.readFileSync(file, "utf8"));
+          return { name: entry.data.name, fetchedAt: entry.fetchedAt };
+        });
+      const tarballs = listFiles(contentDir);
+      const size = tarballs.reduce((total, file) => total + fs.statSync(file).size, 0);
+
+      return { cache: cacheDir, packuments, tarballs: tarballs.length, size };
+    }
+    case "verify": {
+      let verified = 0;
+      let removed = 0;
+
+      for (const file of [...listFiles(contentDir), ...listFiles(packumentsDir)]) {
+        const relativePath = path.relative(contentDir, file);
+        let isValid = !file.endsWith(".tmp");
+
+        if (isValid && !relativePath.startsWith("..")) {
+          // content/<algorithm>/<xx>/<rest> holds the hex digest of the file itself
+          const [algorithm, prefix, rest] = relativePath.split(path.sep);
+          const digest = Buffer.from(`${prefix}${rest}`, "hex").toString("base64");
+          isValid = (await hashFile(file, algorithm)) === digest;
+        }
+
+        if (isValid) {
+          verified++;
+        } else {
+          fs.unlinkSync(file);
+          removed++;
+        }
+      }
+
+      return { cache: cacheDir, verified, removed };
+    }
+    case "clean":
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+      return { cache: cacheDir, removed: true };
+    default:
+      throw createError("EUSAGE", "Invalid cache command. Use 'cache ls', 'cache verify' or 'cache clean'.");
+  }
+}
+
+/**
+ * Prints the result of a `cache` command.
+ * @function printCacheResult
+ * @param {string} subcommand - One of ls, verify or clean.
+ * @param {object} result - What manageCache returned for it.
+ * @returns {void}
+ */
+function printCacheResult(subcommand, result) {
+  if (subcommand === "ls") {
+    for (const { name, fetchedAt } of result.packuments) {
+      console.log(`${name} (fetched ${fetchedAt})`);
+    }
+
+    console.log(`${result.tarballs} tarballs, ${result.size} bytes in ${result.cache}`);
+  } else if (subcommand === "verify") {
+    console.log(`Verified ${result.verified} cache entries, removed ${result.removed} invalid entries from ${result.cache}`);
+  } else {
+    console.log(`Removed ${result.cache}`);
+  }
+}
+
+/**
+ * Initializes a new `toy-package.json` file with default values if it does not exist.
+ * If it already exists, it is left alone.
+ * @param {object} [fields={}] - Values to use instead of the defaults, e.g. `{name: "my-app"}`.
+ * @returns {{created: boolean, path: string, manifest: object}} - Whether the file was created, where it is, and its contents.
+ */
+function initToyPackageJson(fields = {}) {
+  const toyPackagePath = path.join(projectDir, "toy-package.json");
+
+  if (fs.existsSync(toyPackagePath)) {
+    return { created: false, path: toyPackagePath, manifest: readToyPackageJson() };
+  }
+
+  const defaultToyPackageJson = {
+    name: "toy-project",
+    version: "1.0.0",
+    description: "",
+    main: "index.js",
+    scripts: {
+      test: "echo \"Error: no test specified\" && exit 1",
+    },
+    keywords: [],
+    author: "",
+    license: "ISC",
+    dependencies: {},
+    devDependencies: {},
+    ...fields,
+  };
+
+  fs.writeFileSync(toyPackagePath, JSON.stringify(defaultToyPackageJson, null, 2));
+  return { created: true, path: toyPackagePath, manifest: defaultToyPackageJson };
+}
+
+/**
+ * Installs dependencies, like `toy-npm install`. With no `packages`, everything in toy-package.json is installed;
+ * otherwise each entry (`name`, `name@spec`, or any spec parseDependencySpec accepts) is added to toy-package.json.
+ * @async
+ * @function install
+ * @param {object} [options] - `cwd` and the settings in PROJECT_OPTIONS, e.g. `registry`, plus:
+ * @param {string[]} [options.packages] - The packages to add.
+ * @param {boolean} [options.saveDev=false] - Save the packages as devDependencies.
+ * @param {string} [options.workspace] - Add the packages to this workspace instead of the root.
+ * @returns {Promise<{dependencies: object[], packages: object[]}>} - The dependencies that were installed
+ *   (`{name, version, dev}`), and every package in the tree (`{name, version, location}`).
+ */
+export function install(options = {}) {
+  const { packages = [], saveDev = false, workspace } = options;
+
+  return runInProject(options, () =>
+    runInstallTransaction(async () => {
+      if (!packages.length) {
+        return installFromToyPackageJson();
+      }
+
+      const requested = [];
+
+      for (const argument of packages) {
+        requested.push(await resolveInstallArgument(argument));
+      }
+
+      const { versions, root } = await installPackages(requested, saveDev, workspace);
+
+      return {
+        dependencies: requested.map(({ name }) => ({ name, version: versions[name], dev: saveDev })),
+        packages: describeTreePackages(root),
+      };
+    })
+  );
+}
+
+/**
+ * Uninstalls dependencies, like `toy-npm uninstall`. With no `packages`, every dependency is removed.
+ * @async
+ * @function uninstall
+ * @param {object} [options] - `cwd` and the settings in PROJECT_OPTIONS, plus:
+ * @param {string[]} [options.packages] - The names of the packages to remove.
+ * @param {string} [options.workspace] - Remove the packages from this workspace instead of the root.
+ * @returns {Promise<{removed: string[]}>} - The packages that were removed. Names that weren't dependencies are left out.
+ */
+export function uninstall(options = {}) {
+  const { packages = [], workspace } = options;
+
+  return runInProject(options, () =>
+    runInstallTransaction(async () => {
+      if (!packages.length) {
+        return { removed: await uninstallAllPackages() };
+      }
+
+      if (!workspace) {
+        return { removed: await uninstallPackages(packages) };
+      }
+
+      const removed = [];
+
+      for (const packageName of packages) {
+        if (await uninstallWorkspacePackage(packageName, workspace)) {
+          removed.push(packageName);
+        }
+      }
+
+      return { removed };
+    })
+  );
+}
+
+/**
+ * Creates toy-package.json, like `toy-npm init`.
+ * @async
+ * @function init
+ * @param {object} [options] - `cwd`, plus:
+ * @param {object} [options.fields] - Values to use instead of the defaults.
+ * @returns {Promise<{created: boolean, path: string, manifest: object}>}
+ */
+export function init(options = {}) {
+  return runInProject(options, () => initToyPackageJson(options.fields));
+}
+
+/**
+ * Installs exactly what the lockfile records, like `toy-npm ci`.
+ * @async
+ * @function ci
+ * @param {object} [options] - `cwd` and the settings in PROJECT_OPTIONS.
+ * @returns {Promise<{packages: object[]}>} - Every package that was installed (`{name, version, location}`).
+ */
+export function ci(options = {}) {
+  return runInProject(options, () => runInstallTransaction(() => ciFromToyPackageLockJson()));
+}
+
+/**
+ * Formats a byte count for people, e.g. 1.4 MB.
+ * @function formatBytes
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} kB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Prints progress events for the command line. Warnings and script banners (install scripts and `run`) are shown from `warn` and `notice` up,
+ * each fetched and extracted package at `info`, and errors from `error` up; `silent` also hides the command's summary. On a terminal, a progress line counts the
+ * packages resolved, fetched and extracted and the bytes downloaded. In JSON mode, nothing but the result goes to stdout:
+ * the output of spawned scripts is sent to stderr.
+ * @function createReporter
+ * @param {object} [options]
+ * @param {string} [options.loglevel="notice"] - One of LOG_LEVELS.
+ * @param {boolean} [options.json=false] - Print results and errors as JSON.
+ * @returns {{result: Function, fail: Function, finish: Function}} - Prints a command's result (as JSON, or with the given
+ *   function), prints the error that ended it, and clears the progress line and prints the totals when it is done.
+ * @throws {Error} - If the log level is not one of LOG_LEVELS.
+ */
+function createReporter({ loglevel = "notice", json = false } = {}) {
+  if (!LOG_LEVELS.includes(loglevel)) {
+    throw createError("EUSAGE", `Invalid --loglevel ${loglevel}. Use ${LOG_LEVELS.join(", ")}.`);
+  }
+
+  const isEnabled = (level) => LOG_LEVELS.indexOf(loglevel) >= LOG_LEVELS.indexOf(level);
+
+  if (json) {
+    scriptStdio = ["inherit", process.stderr, "inherit"];
+  }
+
+  const showProgress = !json && isEnabled("notice") && process.stderr.isTTY;
+  const counts = { resolved: 0, fetched: 0, extracted: 0, bytes: 0 };
+  let lastDrawn = 0;
+
+  const describeCounts = () =>
+    `resolved ${counts.resolved}, fetched ${counts.fetched}, extracted ${counts.extracted}, downloaded ${formatBytes(counts.bytes)}`;
+
+  const clearProgress = () => {
+    if (showProgress) {
+      process.stderr.write("\r\x1b[K");
+    }
+  };
+
+  // Redraw at most every 100ms, since download chunks arrive far more often
+  const drawProgress = (force = false) => {
+    if (showProgress && (force || Date.now() - lastDrawn > 100)) {
+      lastDrawn = Date.now();
+      process.stderr.write(`\r\x1b[K${describeCounts()}`);
+    }
+  };
+
+  const log = (level, message) => {
+    if (isEnabled(level)) {
+      clearProgress();
+      console.error(message);
+      drawProgress(true);
+    }
+  };
+
+  events.on("resolve", () => {
+    counts.resolved++;
+    drawProgress();
+  });
+  events.on("fetch", ({ name, version }) => {
+    counts.fetched++;
+    log("info", `fetched ${name}@${version}`);
+    drawProgress();
+  });
+  events.on("download", ({ bytes }) => {
+    counts.bytes += bytes;
+    drawProgress();
+  });
+  events.on("extract", ({ name, version, location }) => {
+    counts.extracted++;
+    log("info", `extracted ${name}@${version} to ${location}`);
+    drawProgress();
+  });
+  events.on("warn", (message) => log("warn", `Warning: ${message}`));
+  events.on("script", ({ name, version, event, script }) => {
+    const banner = `> ${name}@${version} ${event}: ${script}`;
+
+    // The script's own output follows straight after, so the progress line stays cleared
+    clearProgress();
+
+    if (json) {
+      log("notice", banner);
+    } else if (isEnabled("notice")) {
+      console.log(banner);
+    }
+  });
+  events.on("run", ({ name, version, event, script }) => {
+    const banner = `\n> ${name}@${version} ${event}\n> ${script}\n`;
+
+    clearProgress();
+
+    if (json) {
+      log("notice", banner);
+    } else if (isEnabled("notice")) {
+      console.log(banner);
+    }
+  });
+
+  return {
+    result(result, printText) {
+      clearProgress();
+
+      if (json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else if (loglevel !== "silent") {
+        printText(result);
+      }
+    },
+    fail(error) {
+      clearProgress();
+
+      if (json) {
+        console.log(JSON.stringify({ error: { code: error.code || "EUNKNOWN", message: error.message } }, null, 2));
+      } else if (isEnabled("error")) {
+        console.error(`Error: ${error.message}`);
+      }
+    },
+    finish() {
+      clearProgress();
+
+      if ((counts.resolved || counts.fetched) && isEnabled("info")) {
+        console.error(describeCounts());
+      }
+    },
+  };
+}
+
+/**
+Main function that parses command line arguments and performs the corresponding action
+*/
+async function main() {
+  const argv = process.argv.slice(2);
+
+  // Everything after a bare -- is passed through to scripts untouched
+  const separatorIndex = argv.indexOf("--");
+  const args = separatorIndex === -1 ? argv : argv.slice(0, separatorIndex);
+  const scriptArgs = separatorIndex === -1 ? [] : argv.slice(separatorIndex + 1);
+
+  // Flags that take a value accept both --flag value and --flag=value, and are stored as --flag=value
+  const valueFlags = [
+    "--depth", "--tag", "--workspace", "--prefix", "--registry", "--cache", "--advisories", "--audit-level", "--loglevel",
+    "--fetch-timeout", "--fetch-retries", "--fetch-retry-mintimeout", "--fetch-retry-maxtimeout", "--omit",
+  ];
+  const flags = [];
+  const positionals = [];
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+    } else if (valueFlags.includes(arg) && index + 1 < args.length) {
+      flags.push(`${arg}=${args[++index]}`);
+    } else {
+      flags.push(arg);
+    }
+  }
+
+  const getFlagValue = (name) => {
+    const flag = flags.find((candidate) => candidate.startsWith(`${name}=`));
+    return flag === undefined ? undefined : flag.slice(name.length + 1);
+  };
+
+  const [action, packageName, ...restArgs] = positionals;
+
+  let version;
+  let saveOption;
+  let isDevDependency = false;
+
+  // Command line flags win over the .toyrc settings
+  const options = { cwd: getFlagValue("--prefix") || process.cwd() };
+
+  for (const [option, key] of Object.entries(PROJECT_OPTIONS)) {
+    if (getFlagValue(`--${key}`) !== undefined) {
+      options[option] = getFlagValue(`--${key}`);
+    } else if (flags.includes(`--${key}`)) {
+      options[option] = true;
+    }
+  }
+
+  loadProject(options);
+
+  const json = flags.includes("--json");
+  const reporter = createReporter({ loglevel: getFlagValue("--loglevel") || getConfig().loglevel || "notice", json });
+
+  version = restArgs[0];
+  saveOption = flags.find((flag) => flag.startsWith("--save"));
+
+  isDevDependency = saveOption === "--save-dev";
+
+  try {
+    switch (action || "install") {
+      case "init":
+        reporter.result(await init(options), ({ created }) =>
+          console.log(created ? "Created toy-package.json with default values." : "toy-package.json already exists.")
+        );
+        break;
+      case "ci":
+        reporter.result(await ci(options), ({ packages }) =>
+          console.log(`Installed ${packages.length} packages from toy-package-lock.json`)
+        );
+        break;
+      case "cache":
+        reporter.result(await manageCache(packageName), (result) => printCacheResult(packageName, result));
+        break;
+      case "ls":
+        reporter.result(getDependencyTree({ depth: Number(getFlagValue("--depth") || 0) }), printDependencyTree);
+        break;
+      case "why":
+        if (!packageName) {
+          throw createError("EUSAGE", "Usage: toy-npm why <package>");
+        }
+
+        reporter.result(explainPackage(packageName), printExplanation);
+        break;
+      case "outdated": {
+        const outdated = await getOutdatedPackages();
+
+        // Like npm, anything outdated is a non-zero exit
+        if (Object.keys(outdated).length) {
+          process.exitCode = 1;
+        }
+
+        reporter.result(outdated, printOutdatedPackages);
+        break;
+      }
+      case "audit": {
+        const fix = packageName === "fix";
+        const audited = await auditProject({ fix, auditLevel: getFlagValue("--audit-level") });
+
+        reporter.result(audited, (result) => printAuditResult(result, fix));
+        break;
+      }
+      case "update": {
+        const updated = await runInstallTransaction(() =>
+          updatePackages([packageName, ...restArgs].filter(Boolean), flags.includes("--latest"))
+        );
+
+        reporter.result({ updated }, () => {
+          for (const { name, from, to } of updated) {
+            console.log(`Updated ${name}: ${from || "missing"} -> ${to}`);
+          }
+        });
+        break;
+      }
+      case "prune": {
+        const omit = getFlagValue("--omit");
+
+        if (omit !== undefined && omit !== "dev") {
+          throw createError("EUSAGE", `Invalid --omit ${omit}. Use --omit=dev.`);
+        }
+
+        const pruned = await runInstallTransaction(() =>
+          pruneProject({ omitDev: omit === "dev" || flags.includes("--production") })
+        );
+
+        reporter.result(pruned, ({ removed }) => {
+          for (const { name, version: removedVersion, location } of removed) {
+            console.log(`Removed ${name}@${removedVersion} from ${location}`);
+          }
+
+          if (!removed.length) {
+            console.log("Nothing to prune.");
+          }
+        });
+        break;
+      }
+      case "dedupe": {
+        const { deduped } = await runInstallTransaction(() => dedupeProject());
+
+        reporter.result({ deduped }, () => {
+          for (const { name, version: dedupedVersion, from, to } of deduped) {
+            console.log(`Deduped ${name} to ${dedupedVersion}: ${from} copies -> ${to}`);
+          }
+
+          if (!deduped.length) {
+            console.log("Nothing to dedupe.");
+          }
+        });
+        break;
+      }
+      case "pack": {
+        const { manifest, filename, files, size, shasum, integrity } = await packProject();
+
+        reporter.result(
+          { name: manifest.name, version: manifest.version, filename, files, size, shasum, integrity },
+          printPackResult
+        );
+        break;
+      }
+      case "publish":
+        reporter.result(await publishProject(getFlagValue("--tag")), printPublishResult);
+        break;
+      case "run":
+      case "test":
+      case "start": {
+        const ran = action === "run"
+          ? await runScript(packageName, [...restArgs, ...scriptArgs], getFlagValue("--workspace"))
+          : await runScript(action, [packageName, ...restArgs, ...scriptArgs].filter(Boolean), getFlagValue("--workspace"));
+
+        process.exitCode = ran.exitCode || 0;
+        reporter.result(ran, printRunResult);
+        break;
+      }
+      case "install": {
+        const installed = await install({
+          ...options,
+          packages: packageName ? [version ? `${packageName}@${version}` : packageName] : [],
+          saveDev: isDevDependency,
+          workspace: getFlagValue("--workspace"),
+        });
+
+        reporter.result(installed, ({ dependencies, packages }) => {
+          for (const { name, version: installedVersion, dev } of dependencies) {
+            console.log(`Installed ${name}@${installedVersion}${dev && !packageName ? " as devDependency" : ""}`);
+          }
+
+          if (!packageName) {
+            console.log(`Installed ${packages.length} packages in total.`);
+          }
+        });
+        break;
+      }
+      case "uninstall": {
+        const workspace = getFlagValue("--workspace");
+        const uninstalled = await uninstall({ ...options, packages: packageName ? [packageName] : [], workspace });
+
+        reporter.result(uninstalled, ({ removed }) => {
+          if (packageName && !removed.length) {
+            console.log(workspace ? `Package ${packageName} not found in workspace ${workspace}.` : `Package ${packageName} not found.`);
+          }
+
+          for (const name of removed) {
+            console.log(workspace ? `Uninstalled ${name} from workspace ${workspace}` : `Uninstalled ${name}`);
+          }
+        });
+        break;
+      }
+      default:
+        throw createError(
+          "EUSAGE",
+          "Invalid action. Use 'install', 'ci', 'uninstall', 'ls', 'why', 'outdated', 'audit', 'update', 'prune', 'dedupe', 'pack', 'publish', 'run', 'test', 'start' or 'cache'."
+        );
+    }
+  } catch (error) {
+    reporter.fail(error);
+    process.exitCode = getExitCode(error);
+  } finally {
+    reporter.finish();
+  }
+}
+
+// Only run the command line when this file is executed, not when it is imported as a library
+if (process.argv[1] && fs.existsSync(process.argv[1]) && fs.realpathSync(process.argv[1]) === __filename) {
+  main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = getExitCode(error);
+  });
+}
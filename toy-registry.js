@@ -0,0 +1,301 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * A small local registry for toy-npm, so install/publish round-trips work with no network.
+ * Packuments and tarballs are stored on disk, one folder per package:
+ *
+ *   <storage>/<encoded name>/package.json   the packument
+ *   <storage>/<encoded name>/<file>.tgz     the published tarballs
+ *   <storage>/advisories.json               optional advisories for `toy-npm audit`, by package name
+ *
+ * Usage: node toy-registry.js [--port 4873] [--storage ./toy-registry-storage]
+ * Set TOY_REGISTRY_TOKEN to require `Authorization: Bearer <token>` for publishing.
+ */
+
+/**
+ * Gets the folder a package is stored in.
+ * @function getPackageDir
+ * @param {string} storage - The storage folder.
+ * @param {string} packageName - The package name, e.g. lodash or @corp/utils.
+ * @returns {string}
+ */
+function getPackageDir(storage, packageName) {
+  return path.join(storage, encodeURIComponent(packageName));
+}
+
+/**
+ * Reads a stored packument, if the package has been published.
+ * @function readPackument
+ * @param {string} storage - The storage folder.
+ * @param {string} packageName - The package name.
+ * @returns {object|null}
+ */
+function readPackument(storage, packageName) {
+  const packumentPath = path.join(getPackageDir(storage, packageName), "package.json");
+
+  if (!fs.existsSync(packumentPath)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(packumentPath, "utf8"));
+}
+
+/**
+ * Splits a request path into the package name and, for tarball requests, the tarball file name.
+ * Handles both `/@scope%2fname` and `/@scope/name` forms.
+ * @function parseRequestPath
+ * @param {string} url - The request URL.
+ * @returns {{packageName: string, tarball: ?string}}
+ */
+function parseRequestPath(url) {
+  const pathname = decodeURIComponent(new URL(url, "http://localhost").pathname).replace(/^\/+/, "");
+  const [packageName, tarball] = pathname.split("/-/");
+
+  return { packageName, tarball: tarball || null };
+}
+
+/**
+ * Sends a JSON response.
+ * @function sendJson
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ * @param {object} [headers={}]
+ * @returns {void}
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Serves a packument, with tarball URLs pointing back at this server and an ETag so clients can revalidate.
+ * @function handleGetPackument
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} storage
+ * @param {string} packageName
+ * @returns {void}
+ */
+function handleGetPackument(req, res, storage, packageName) {
+  const packument = readPackument(storage, packageName);
+
+  if (!packument) {
+    sendJson(res, 404, { error: "Not found" });
+    return;
+  }
+
+  const baseUrl = `http://${req.headers.host}/`;
+
+  for (const manifest of Object.values(packument.versions)) {
+    const tarballName = path.posix.basename(manifest.dist.tarball);
+    manifest.dist.tarball = `${baseUrl}${packageName}/-/${tarballName}`;
+  }
+
+  const body = JSON.stringify(packument);
+  const etag = `"${crypto.createHash("sha1").update(body).digest("hex")}"`;
+
+  if (req.headers["if-none-match"] === etag) {
+    res.writeHead(304, { ETag: etag });
+    res.end();
+    return;
+  }
+
+  res.writeHead(200, { "Content-Type": "application/json", ETag: etag });
+  res.end(body);
+}
+
+/**
+ * Serves a stored tarball.
+ * @function handleGetTarball
+ * @param {http.ServerResponse} res
+ * @param {string} storage
+ * @param {string} packageName
+ * @param {string} tarball - The tarball file name.
+ * @returns {void}
+ */
+function handleGetTarball(res, storage, packageName, tarball) {
+  const tarballPath = path.join(getPackageDir(storage, packageName), path.basename(tarball));
+
+  if (!fs.existsSync(tarballPath)) {
+    sendJson(res, 404, { error: "Not found" });
+    return;
+  }
+
+  res.writeHead(200, { "Content-Type": "application/octet-stream" });
+  fs.createReadStream(tarballPath).pipe(res);
+}
+
+/**
+ * Stores a published version: merges its manifest and dist-tags into the packument and writes the attached tarball.
+ * Publishing a version that already exists is refused with 409, like the npm registry does.
+ * @function handlePublish
+ * @param {object} body - The parsed request body sent by `toy-npm publish`.
+ * @param {http.ServerResponse} res
+ * @param {string} storage
+ * @param {string} packageName
+ * @returns {void}
+ */
+function handlePublish(body, res, storage, packageName) {
+  if (body.name !== packageName || !body.versions || !body._attachments) {
+    sendJson(res, 400, { error: "Expected a packument with versions and _attachments" });
+    return;
+  }
+
+  const packument = readPackument(storage, packageName) || {
+    _id: packageName,
+    name: packageName,
+    "dist-tags": {},
+    versions: {},
+    time: {},
+  };
+
+  for (const version of Object.keys(body.versions)) {
+    if (packument.versions[version]) {
+      sendJson(res, 409, { error: `Cannot publish over the existing version ${packageName}@${version}` });
+      return;
+    }
+  }
+
+  const packageDir = getPackageDir(storage, packageName);
+  fs.mkdirSync(packageDir, { recursive: true });
+
+  for (const [filename, attachment] of Object.entries(body._attachments)) {
+    fs.writeFileSync(path.join(packageDir, path.basename(filename)), Buffer.from(attachment.data, "base64"));
+  }
+
+  const now = new Date().toISOString();
+  Object.assign(packument.versions, body.versions);
+  Object.assign(packument["dist-tags"], body["dist-tags"]);
+  packument.description = body.description;
+  packument.time = { ...packument.time, modified: now };
+
+  for (const version of Object.keys(body.versions)) {
+    packument.time[version] = now;
+  }
+
+  fs.writeFileSync(path.join(packageDir, "package.json"), JSON.stringify(packument, null, 2));
+  sendJson(res, 201, { ok: true, id: packageName });
+}
+
+/**
+ * Answers a bulk advisory request, which lists installed versions by package name, with the stored advisories for
+ * those packages. Matching versions against the ranges is left to the client.
+ * @function handleBulkAdvisories
+ * @param {object} body - Package name to a list of versions.
+ * @param {http.ServerResponse} res
+ * @param {string} storage
+ * @returns {void}
+ */
+function handleBulkAdvisories(body, res, storage) {
+  const advisoriesPath = path.join(storage, "advisories.json");
+  const advisories = fs.existsSync(advisoriesPath) ? JSON.parse(fs.readFileSync(advisoriesPath, "utf8")) : {};
+  const result = {};
+
+  for (const packageName of Object.keys(body)) {
+    if (advisories[packageName]) {
+      result[packageName] = advisories[packageName];
+    }
+  }
+
+  sendJson(res, 200, result);
+}
+
+/**
+ * Reads a JSON request body and hands it to a handler, answering 400 if it doesn't parse.
+ * @function readJsonBody
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {Function} handler - Called with the parsed body.
+ * @returns {void}
+ */
+function readJsonBody(req, res, handler) {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    try {
+      handler(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+    }
+  });
+}
+
+/**
+ * Creates the registry server.
+ * @function createRegistryServer
+ * @param {object} [options]
+ * @param {string} [options.storage] - The folder to store packages in.
+ * @param {string} [options.token] - A bearer token required for publishing. Reads are always allowed.
+ * @returns {http.Server}
+ */
+export function createRegistryServer({ storage = path.join(__dirname, "toy-registry-storage"), token } = {}) {
+  fs.mkdirSync(storage, { recursive: true });
+
+  return http.createServer((req, res) => {
+    const { packageName, tarball } = parseRequestPath(req.url);
+    console.log(`${req.method} ${req.url}`);
+
+    if (req.method === "POST" && packageName === "-/npm/v1/security/advisories/bulk") {
+      readJsonBody(req, res, (body) => handleBulkAdvisories(body, res, storage));
+      return;
+    }
+
+    if (!packageName) {
+      sendJson(res, 200, { db_name: "toy-registry" });
+      return;
+    }
+
+    if (req.method === "GET" && tarball) {
+      handleGetTarball(res, storage, packageName, tarball);
+      return;
+    }
+
+    if (req.method === "GET") {
+      handleGetPackument(req, res, storage, packageName);
+      return;
+    }
+
+    if (req.method === "PUT" && !tarball) {
+      if (token && req.headers.authorization !== `Bearer ${token}`) {
+        sendJson(res, 401, { error: "Unauthorized" });
+        return;
+      }
+
+      readJsonBody(req, res, (body) => handlePublish(body, res, storage, packageName));
+      return;
+    }
+
+    sendJson(res, 405, { error: "Method not allowed" });
+  });
+}
+
+/**
+ * Starts the registry from the command line.
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const getArg = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index === -1 ? fallback : args[index + 1];
+  };
+
+  const port = Number(getArg("--port", 4873));
+  const storage = path.resolve(getArg("--storage", path.join(__dirname, "toy-registry-storage")));
+
+  createRegistryServer({ storage, token: process.env.TOY_REGISTRY_TOKEN }).listen(port, () => {
+    console.log(`toy-registry listening on http://localhost:${port}/ (storage: ${storage})`);
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main();
+}
@@ -0,0 +1,378 @@
+/**
+ * A small semver implementation for toy-npm.
+ *
+ * Supports the range syntax found in real package.json files: exact versions,
+ * x-ranges (`1.x`, `1.2.*`, `*`), tilde and caret ranges, primitive comparators
+ * (`>=1.2.0 <2`), hyphen ranges (`1.2 - 2.3.4`) and `||` unions.
+ */
+
+const VERSION_PATTERN =
+  /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+
+const PARTIAL_PATTERN =
+  /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+
+/**
+ * Parses a full version string such as `1.2.3-beta.1`.
+ * @function parseVersion
+ * @param {string} version - The version string to parse.
+ * @returns {{major: number, minor: number, patch: number, prerelease: Array<string|number>}|null} - The parsed version, or null if it is not valid.
+ */
+export function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(String(version).trim());
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split(".").map((id) => (/^\d+$/.test(id) ? Number(id) : id)) : [],
+  };
+}
+
+/**
+ * Checks whether a string is a valid full version.
+ * @function valid
+ * @param {string} version - The version string to check.
+ * @returns {boolean}
+ */
+export function valid(version) {
+  return parseVersion(version) !== null;
+}
+
+/**
+ * Compares two prerelease identifier lists using semver precedence rules.
+ * A version without a prerelease has higher precedence than one with it.
+ * @param {Array<string|number>} a
+ * @param {Array<string|number>} b
+ * @returns {number} - -1, 0 or 1
+ */
+function comparePrerelease(a, b) {
+  if (!a.length && !b.length) return 0;
+  if (!a.length) return 1;
+  if (!b.length) return -1;
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    const aIsNumber = typeof a[i] === "number";
+    const bIsNumber = typeof b[i] === "number";
+
+    // Numeric identifiers always have lower precedence than alphanumeric ones
+    if (aIsNumber && !bIsNumber) return -1;
+    if (!aIsNumber && bIsNumber) return 1;
+
+    return a[i] < b[i] ? -1 : 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Compares two parsed versions.
+ * @param {object} a
+ * @param {object} b
+ * @returns {number} - -1, 0 or 1
+ */
+function compareParsed(a, b) {
+  for (const key of ["major", "minor", "patch"]) {
+    if (a[key] !== b[key]) {
+      return a[key] < b[key] ? -1 : 1;
+    }
+  }
+
+  return comparePrerelease(a.prerelease, b.prerelease);
+}
+
+/**
+ * Compares two version strings, suitable for use with Array.prototype.sort.
+ * @function compare
+ * @param {string} a - The first version.
+ * @param {string} b - The second version.
+ * @returns {number} - -1 if a < b, 0 if they are equal, 1 if a > b.
+ * @throws {Error} - If either version is not valid.
+ */
+export function compare(a, b) {
+  const parsedA = parseVersion(a);
+  const parsedB = parseVersion(b);
+
+  if (!parsedA || !parsedB) {
+    throw new Error(`Invalid version: ${parsedA ? b : a}`);
+  }
+
+  return compareParsed(parsedA, parsedB);
+}
+
+/**
+ * Parses a possibly incomplete version (`1`, `1.2`, `1.x`, `*`) used inside a range.
+ * Missing or wildcard parts are returned as null.
+ * @param {string} partial
+ * @returns {{major: ?number, minor: ?number, patch: ?number, prerelease: Array<string|number>}|null}
+ */
+function parsePartial(partial) {
+  if (partial === "" || partial === "*" || partial.toLowerCase() === "x") {
+    return { major: null, minor: null, patch: null, prerelease: [] };
+  }
+
+  const match = PARTIAL_PATTERN.exec(partial);
+
+  if (!match) {
+    return null;
+  }
+
+  const part = (value) => (value === undefined || /^[xX*]$/.test(value) ? null : Number(value));
+  const major = part(match[1]);
+  const minor = major === null ? null : part(match[2]);
+  const patch = minor === null ? null : part(match[3]);
+
+  return {
+    major,
+    minor,
+    patch,
+    prerelease: patch !== null && match[4] ? match[4].split(".").map((id) => (/^\d+$/.test(id) ? Number(id) : id)) : [],
+  };
+}
+
+/**
+ * Builds a comparator object.
+ * @param {string} operator - One of `>`, `>=`, `<`, `<=`, `=`.
+ * @param {number} major
+ * @param {number} minor
+ * @param {number} patch
+ * @param {Array<string|number>} [prerelease=[]]
+ * @returns {object}
+ */
+function comparator(operator, major, minor, patch, prerelease = []) {
+  return { operator, version: { major, minor, patch, prerelease } };
+}
+
+/**
+ * Expands a single range token (`^1.2.3`, `~1.2`, `>=1.0.0`, `1.x`) into primitive comparators.
+ * @param {string} token
+ * @returns {Array<object>}
+ * @throws {Error} - If the token is not a valid range.
+ */
+function expandToken(token) {
+  const [, operator, rest] = /^(\^|~>?|>=|<=|>|<|=)?\s*(.*)$/.exec(token);
+  const partial = parsePartial(rest);
+
+  if (!partial) {
+    throw new Error(`Invalid range: ${token}`);
+  }
+
+  const { major, minor, patch, prerelease } = partial;
+
+  if (operator === "^") {
+    if (major === null) return [];
+    if (minor === null) return [comparator(">=", major, 0, 0), comparator("<", major + 1, 0, 0, [0])];
+    if (patch === null) {
+      return major === 0
+        ? [comparator(">=", 0, minor, 0), comparator("<", 0, minor + 1, 0, [0])]
+        : [comparator(">=", major, minor, 0), comparator("<", major + 1, 0, 0, [0])];
+    }
+    const lower = comparator(">=", major, minor, patch, prerelease);
+    if (major !== 0) return [lower, comparator("<", major + 1, 0, 0, [0])];
+    if (minor !== 0) return [lower, comparator("<", 0, minor + 1, 0, [0])];
+    return [lower, comparator("<", 0, 0, patch + 1, [0])];
+  }
+
+  if (operator === "~" || operator === "~>") {
+    if (major === null) return [];
+    if (minor === null) return [comparator(">=", major, 0, 0), comparator("<", major + 1, 0, 0, [0])];
+    return [
+      comparator(">=", major, minor, patch === null ? 0 : patch, prerelease),
+      comparator("<", major, minor + 1, 0, [0]),
+    ];
+  }
+
+  if (!operator || operator === "=") {
+    if (major === null) return [];
+    if (minor === null) return [comparator(">=", major, 0, 0), comparator("<", major + 1, 0, 0, [0])];
+    if (patch === null) return [comparator(">=", major, minor, 0), comparator("<", major, minor + 1, 0, [0])];
+    return [comparator("=", major, minor, patch, prerelease)];
+  }
+
+  // Primitive comparators with partial versions, e.g. `>1.2` or `<=2`
+  if (major === null) {
+    return operator === "<" || operator === ">" ? [comparator("<", 0, 0, 0, [0])] : [];
+  }
+
+  if (operator === ">") {
+    if (minor === null) return [comparator(">=", major + 1, 0, 0)];
+    if (patch === null) return [comparator(">=", major, minor + 1, 0)];
+  }
+
+  if (operator === "<=") {
+    if (minor === null) return [comparator("<", major + 1, 0, 0, [0])];
+    if (patch === null) return [comparator("<", major, minor + 1, 0, [0])];
+  }
+
+  if (operator === "<" && (minor === null || patch === null)) {
+    return [comparator("<", major, minor || 0, 0, [0])];
+  }
+
+  return [comparator(operator, major, minor || 0, patch || 0, prerelease)];
+}
+
+/**
+ * Expands a hyphen range (`1.2 - 2.3.4`) into primitive comparators.
+ * @param {string} from
+ * @param {string} to
+ * @returns {Array<object>}
+ */
+function expandHyphen(from, to) {
+  const lower = parsePartial(from);
+  const upper = parsePartial(to);
+
+  if (!lower || !upper) {
+    throw new Error(`Invalid range: ${from} - ${to}`);
+  }
+
+  const comparators = [];
+
+  if (lower.major !== null) {
+    comparators.push(comparator(">=", lower.major, lower.minor || 0, lower.patch || 0, lower.prerelease));
+  }
+
+  if (upper.major !== null) {
+    if (upper.minor === null) {
+      comparators.push(comparator("<", upper.major + 1, 0, 0, [0]));
+    } else if (upper.patch === null) {
+      comparators.push(comparator("<", upper.major, upper.minor + 1, 0, [0]));
+    } else {
+      comparators.push(comparator("<=", upper.major, upper.minor, upper.patch, upper.prerelease));
+    }
+  }
+
+  return comparators;
+}
+
+/**
+ * Parses a range string into a list of comparator sets. A version satisfies the
+ * range if it satisfies every comparator of at least one set.
+ * @function parseRange
+ * @param {string} range - The range to parse, e.g. `^1.2.0 || >=2 <3`.
+ * @returns {Array<Array<object>>} - The comparator sets.
+ * @throws {Error} - If the range is not valid.
+ */
+export function parseRange(range) {
+  return String(range)
+    .split("||")
+    .map((set) => {
+      const trimmed = set.trim();
+      const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(trimmed);
+
+      if (hyphen) {
+        return expandHyphen(hyphen[1], hyphen[2]);
+      }
+
+      // Join operators to their versions so `>= 1.2.0` becomes one token
+      const tokens = trimmed.replace(/(\^|~>?|>=|<=|>|<|=)\s+/g, "$1").split(/\s+/).filter(Boolean);
+
+      return tokens.flatMap(expandToken);
+    });
+}
+
+/**
+ * Checks whether a string is a valid range.
+ * @function validRange
+ * @param {string} range - The range to check.
+ * @returns {boolean}
+ */
+export function validRange(range) {
+  try {
+    parseRange(range);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Tests a parsed version against a single comparator.
+ * @param {object} version
+ * @param {object} comp
+ * @returns {boolean}
+ */
+function testComparator(version, comp) {
+  const result = compareParsed(version, comp.version);
+
+  switch (comp.operator) {
+    case ">":
+      return result > 0;
+    case ">=":
+      return result >= 0;
+    case "<":
+      return result < 0;
+    case "<=":
+      return result <= 0;
+    default:
+      return result === 0;
+  }
+}
+
+/**
+ * Tests a parsed version against a comparator set. Prerelease versions only
+ * match when a comparator in the same set names a prerelease of the same
+ * major.minor.patch, so `^1.2.0` never picks `1.3.0-beta.1`.
+ * @param {object} version
+ * @param {Array<object>} set
+ * @param {boolean} includePrerelease
+ * @returns {boolean}
+ */
+function testSet(version, set, includePrerelease) {
+  if (!set.every((comp) => testComparator(version, comp))) {
+    return false;
+  }
+
+  if (!version.prerelease.length || includePrerelease) {
+    return true;
+  }
+
+  return set.some(
+    ({ version: bound }) =>
+      bound.prerelease.length > 0 &&
+      !(bound.prerelease.length === 1 && bound.prerelease[0] === 0) &&
+      bound.major === version.major &&
+      bound.minor === version.minor &&
+      bound.patch === version.patch
+  );
+}
+
+/**
+ * Checks whether a version satisfies a range.
+ * @function satisfies
+ * @param {string} version - The version to test.
+ * @param {string} range - The range to test against.
+ * @param {object} [options]
+ * @param {boolean} [options.includePrerelease=false] - Allow any prerelease that is within the range.
+ * @returns {boolean}
+ */
+export function satisfies(version, range, { includePrerelease = false } = {}) {
+  const parsed = parseVersion(version);
+
+  if (!parsed || !validRange(range)) {
+    return false;
+  }
+
+  return parseRange(range).some((set) => testSet(parsed, set, includePrerelease));
+}
+
+/**
+ * Returns the highest version in a list that satisfies a range.
+ * @function maxSatisfying
+ * @param {string[]} versions - The candidate versions.
+ * @param {string} range - The range to satisfy.
+ * @param {object} [options] - Passed through to satisfies.
+ * @returns {string|null} - The highest matching version, or null if none match.
+ */
+export function maxSatisfying(versions, range, options) {
+  return versions
+    .filter((version) => satisfies(version, range, options))
+    .reduce((max, version) => (max === null || compare(version, max) > 0 ? version : max), null);
+}